@@ -0,0 +1,108 @@
+// Morphlink account tokens
+// Single-use, expiring tokens sent by email to verify an address or reset a
+// forgotten password. Like refresh tokens they look like "<id>.<random secret>"
+// and only a hash of the secret is stored.
+//
+// Configuration (environment variables):
+//   APP_URL                     - frontend URL used in email links (default http://localhost:5173)
+//   VERIFY_EMAIL_TTL_HOURS      - email verification link lifetime (default 48)
+//   PASSWORD_RESET_TTL_MINUTES  - password reset link lifetime (default 60)
+
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+const VERIFY_EMAIL_TTL_HOURS = parseInt(process.env.VERIFY_EMAIL_TTL_HOURS, 10) || 48;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+const PURPOSES = {
+  verify_email: { ttlMs: VERIFY_EMAIL_TTL_HOURS * 60 * 60 * 1000 },
+  reset_password: { ttlMs: PASSWORD_RESET_TTL_MINUTES * 60 * 1000 }
+};
+
+// Issue a new token for a user, replacing any earlier token for the same purpose
+function issueAccountToken(database, user, purpose) {
+  const { ttlMs } = PURPOSES[purpose];
+
+  for (const previous of database.getAccountTokensByUserId(user.id)) {
+    if (previous.purpose === purpose) {
+      database.deleteAccountToken(previous.id);
+    }
+  }
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = database.addAccountToken({
+    userId: user.id,
+    purpose,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + ttlMs).toISOString()
+  });
+  return `${record.id}.${secret}`;
+}
+
+// Check a token and mark it used.
+// Returns { error } or { user }.
+function consumeAccountToken(database, token, purpose) {
+  const [id, secret = ''] = String(token || '').split('.');
+  const record = database.findAccountTokenById(Number(id));
+
+  if (
+    !record ||
+    record.purpose !== purpose ||
+    record.usedAt ||
+    new Date(record.expiresAt) <= new Date() ||
+    record.tokenHash !== hashToken(secret)
+  ) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  const user = database.findUserById(record.userId);
+  if (!user) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  database.updateAccountToken(record.id, { usedAt: new Date().toISOString() });
+  return { user };
+}
+
+// Email the user a link to confirm their address
+async function sendVerificationEmail(mailer, database, user) {
+  const token = issueAccountToken(database, user, 'verify_email');
+  return mailer.send({
+    to: user.email,
+    subject: 'Verify your Morphlink email address',
+    text: [
+      'Welcome to Morphlink!',
+      '',
+      'Confirm your email address by opening this link:',
+      `${APP_URL}/?verify=${encodeURIComponent(token)}`,
+      '',
+      `The link expires in ${VERIFY_EMAIL_TTL_HOURS} hours.`
+    ].join('\n')
+  });
+}
+
+// Email the user a link to choose a new password
+async function sendPasswordResetEmail(mailer, database, user) {
+  const token = issueAccountToken(database, user, 'reset_password');
+  return mailer.send({
+    to: user.email,
+    subject: 'Reset your Morphlink password',
+    text: [
+      'Someone asked to reset the password for your Morphlink account.',
+      '',
+      'Choose a new password by opening this link:',
+      `${APP_URL}/?reset=${encodeURIComponent(token)}`,
+      '',
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  issueAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
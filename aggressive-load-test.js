@@ -1,7 +1,13 @@
 const axios = require('axios');
+const { createLink } = require('./load-test-links');
 
 // Configuration for aggressive testing
 const BACKEND_URL = 'http://localhost:3000';
+
+// Personal API key with the 'create' scope (create one in the frontend's
+// API keys panel or with POST /api/keys)
+const API_KEY = process.env.MORPHLINK_API_KEY;
+
 const TEST_URLS = [
   'https://www.google.com',
   'https://www.github.com',
@@ -24,9 +30,7 @@ class AggressiveLoadTester {
     for (let i = 0; i < 5; i++) {
       try {
         const longUrl = TEST_URLS[i] + `?test=${Date.now()}-${i}`;
-        const response = await axios.post(`${BACKEND_URL}/api/links`, {
-          longUrl: longUrl
-        });
+        const response = await createLink(longUrl, { backendUrl: BACKEND_URL, apiKey: API_KEY });
         
         if (response.data.link && response.data.link.shortCode) {
           this.createdLinks.push({
@@ -118,6 +122,11 @@ class AggressiveLoadTester {
     console.log('🧪 AGGRESSIVE Morphlink Load Test');
     console.log('=' .repeat(50));
     
+    if (!API_KEY) {
+      console.error('❌ Set MORPHLINK_API_KEY to an API key with the create scope');
+      return;
+    }
+    
     try {
       // Check initial microservice status
       console.log('\n🔍 Initial microservice check:');
@@ -0,0 +1,109 @@
+// Morphlink API keys
+// Long-lived personal credentials for scripts. Keys look like
+// "mlk_<id>_<random secret>" and are sent as "Authorization: Bearer <key>" or
+// in the X-API-Key header. Only a hash of each key is stored, and every key is
+// limited to the scopes it was created with.
+
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+// What a key may do. Session (JWT) logins are not restricted by scopes.
+const SCOPES = {
+  create: 'Create and edit links',
+  read: 'List links and their revisions',
+  delete: 'Delete links',
+  analytics: 'Read click analytics'
+};
+
+const KEY_PREFIX = 'mlk_';
+const KEY_PATTERN = /^mlk_(\d+)_([A-Za-z0-9_-]+)$/;
+
+// Only record usage this often so busy scripts do not write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const MAX_NAME_LENGTH = 100;
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+// Validate a key creation request.
+// Returns { error } or { name, scopes }.
+function parseApiKeyOptions(body) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    return { error: 'name is required' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const scopes = body.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: `scopes must be a non-empty array of: ${Object.keys(SCOPES).join(', ')}` };
+  }
+  const unknown = scopes.filter(scope => !SCOPES[scope]);
+  if (unknown.length > 0) {
+    return { error: `Unknown scopes: ${unknown.join(', ')}` };
+  }
+
+  return { name, scopes: [...new Set(scopes)] };
+}
+
+// Create a key for a user.
+// Returns { apiKey, key }; the plain key is only available here.
+function createApiKey(database, user, { name, scopes }) {
+  const apiKey = database.addApiKey({ userId: user.id, name, scopes });
+
+  const key = `${KEY_PREFIX}${apiKey.id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const updated = database.updateApiKey(apiKey.id, {
+    keyHash: hashToken(key),
+    hint: `${key.slice(0, key.indexOf('_', KEY_PREFIX.length) + 5)}…`
+  });
+  return { apiKey: updated, key };
+}
+
+// Look up the key and its owner.
+// Returns { error } or { apiKey, user }.
+function authenticateApiKey(database, key) {
+  const match = KEY_PATTERN.exec(key || '');
+  const apiKey = match && database.findApiKeyById(Number(match[1]));
+
+  if (!apiKey || apiKey.revokedAt || apiKey.keyHash !== hashToken(key)) {
+    return { error: 'Invalid or revoked API key' };
+  }
+
+  const user = database.findUserById(apiKey.userId);
+  if (!user) {
+    return { error: 'Invalid or revoked API key' };
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+    database.updateApiKey(apiKey.id, { lastUsedAt: new Date(now).toISOString() });
+  }
+
+  return { apiKey, user };
+}
+
+// Key details safe to return to the client
+function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    hint: apiKey.hint,
+    createdAt: apiKey.createdAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt
+  };
+}
+
+module.exports = {
+  SCOPES,
+  isApiKey,
+  parseApiKeyOptions,
+  createApiKey,
+  authenticateApiKey,
+  toPublicApiKey
+};
@@ -1,24 +1,93 @@
 // Morphlink Autopilot System
-// Monitors load and automatically scales by starting/stopping the redirector microservice
+// Monitors load and scales a pool of redirector microservice workers; the
+// monolith balances proxied redirects over the workers it is told about
+//
+// Configuration (environment variables, defaults in CONFIG below):
+//   AUTOPILOT_POLICY            - 'threshold', 'moving-average' or 'latency'
+//   AUTOPILOT_POLL_INTERVAL     - ms between health checks
+//   AUTOPILOT_SCALE_UP_LOAD     - redirects per minute per redirector above which to scale up
+//   AUTOPILOT_SCALE_DOWN_LOAD   - redirects per minute per redirector below which to scale down
+//   AUTOPILOT_MOVING_AVERAGE_SAMPLES - samples averaged by the moving-average policy
+//   AUTOPILOT_SCALE_UP_P95_MS   - p95 redirect latency above which to scale up
+//   AUTOPILOT_SCALE_DOWN_P95_MS - p95 redirect latency below which to scale down
+//   AUTOPILOT_CONFIRM_UP        - consecutive samples needed to scale up
+//   AUTOPILOT_CONFIRM_DOWN      - consecutive samples needed to scale down
+//   AUTOPILOT_DWELL_UP_MS       - time to keep the current size before scaling up
+//   AUTOPILOT_DWELL_DOWN_MS     - time to keep the current size before scaling down
+//   AUTOPILOT_COOLDOWN_MS       - wait after a failed scaling attempt
+//   AUTOPILOT_MIN_REDIRECTORS   - smallest pool size (0 lets the monolith redirect alone)
+//   AUTOPILOT_MAX_REDIRECTORS   - largest pool size
+//   AUTOPILOT_REDIRECTOR_PORT_BASE - first worker port; workers use the ports after it
+//   AUTOPILOT_READY_TIMEOUT_MS  - time a new worker has to answer /health before it is given up on
+//   AUTOPILOT_RESTART_BACKOFF_MS     - delay before restarting a crashed worker, doubled per recent crash
+//   AUTOPILOT_RESTART_BACKOFF_MAX_MS - longest restart delay
+//   AUTOPILOT_MAX_CRASHES       - crashes within the crash window that open the circuit breaker
+//   AUTOPILOT_CRASH_WINDOW_MS   - window in which crashes are counted
+//   AUTOPILOT_BREAKER_RESET_MS  - time the open breaker blocks restarts and scale-ups
 
-const { spawn } = require('child_process');
 const axios = require('axios');
 const path = require('path');
+const { createPolicy, ScalingController } = require('./scaling-policies');
+const { RedirectorPool } = require('./redirector-pool');
+const { CrashSupervisor } = require('./crash-supervisor');
+const { loadInternalSecret } = require('./internal-secret');
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
 
 // =============================================================================
 // AUTOPILOT CONFIGURATION
 // =============================================================================
 
 const CONFIG = {
-  // Load threshold for triggering microservice scaling
-  LOAD_THRESHOLD: 5,
+  // Scaling policy and its thresholds (scale up above the upper one, down below
+  // the lower one, hold in between)
+  POLICY: process.env.AUTOPILOT_POLICY || 'threshold',
+  SCALE_UP_LOAD: envNumber('AUTOPILOT_SCALE_UP_LOAD', 5),
+  SCALE_DOWN_LOAD: envNumber('AUTOPILOT_SCALE_DOWN_LOAD', 2),
+  MOVING_AVERAGE_SAMPLES: envNumber('AUTOPILOT_MOVING_AVERAGE_SAMPLES', 3),
+  SCALE_UP_P95_MS: envNumber('AUTOPILOT_SCALE_UP_P95_MS', 250),
+  SCALE_DOWN_P95_MS: envNumber('AUTOPILOT_SCALE_DOWN_P95_MS', 50),
+  
+  // Consecutive samples that must agree before scaling
+  CONFIRM_UP: envNumber('AUTOPILOT_CONFIRM_UP', 2),
+  CONFIRM_DOWN: envNumber('AUTOPILOT_CONFIRM_DOWN', 3),
+  
+  // Minimum time at the current size before scaling up / down again
+  DWELL_UP_MS: envNumber('AUTOPILOT_DWELL_UP_MS', 30000),
+  DWELL_DOWN_MS: envNumber('AUTOPILOT_DWELL_DOWN_MS', 120000),
+  
+  // Wait after a failed scaling attempt before retrying
+  COOLDOWN_MS: envNumber('AUTOPILOT_COOLDOWN_MS', 30000),
+  
+  // Polling interval for health checks (20 seconds)
+  POLL_INTERVAL: envNumber('AUTOPILOT_POLL_INTERVAL', 20000),
   
-  // Polling interval for health checks (10 seconds)
-  POLL_INTERVAL: 20000,
+  // Redirector pool size limits, one step per scaling action
+  MIN_REDIRECTORS: envNumber('AUTOPILOT_MIN_REDIRECTORS', 0),
+  MAX_REDIRECTORS: envNumber('AUTOPILOT_MAX_REDIRECTORS', 3),
   
-  // Monolith and microservice endpoints
+  // Monolith endpoint, and where the redirector workers listen
   MONOLITH_URL: 'http://localhost:3000',
-  MICROSERVICE_URL: 'http://localhost:3001',
+  REDIRECTOR_HOST: 'localhost',
+  REDIRECTOR_PORT_BASE: envNumber('AUTOPILOT_REDIRECTOR_PORT_BASE', 3001),
+  
+  // Deadline for a new worker's /health to answer before the scale-up is rolled back
+  READY_TIMEOUT_MS: envNumber('AUTOPILOT_READY_TIMEOUT_MS', 10000),
+  
+  // Crashed workers are restarted after 1s, 2s, 4s, ... (at most 30s); 5 crashes
+  // within 5 minutes open the circuit breaker for 10 minutes
+  RESTART_BACKOFF_MS: envNumber('AUTOPILOT_RESTART_BACKOFF_MS', 1000),
+  RESTART_BACKOFF_MAX_MS: envNumber('AUTOPILOT_RESTART_BACKOFF_MAX_MS', 30000),
+  MAX_CRASHES: envNumber('AUTOPILOT_MAX_CRASHES', 5),
+  CRASH_WINDOW_MS: envNumber('AUTOPILOT_CRASH_WINDOW_MS', 300000),
+  BREAKER_RESET_MS: envNumber('AUTOPILOT_BREAKER_RESET_MS', 600000),
+  
+  // Shared secret sent to the monolith's /api/internal/* routes
+  // (INTERNAL_API_SECRET, or the one shared through INTERNAL_API_SECRET_FILE)
+  INTERNAL_API_SECRET: loadInternalSecret(),
   
   // Paths
   MICROSERVICE_SCRIPT: path.join(__dirname, 'redirector.microservice.js')
@@ -30,14 +99,52 @@ const CONFIG = {
 
 class AutopilotSystem {
   constructor() {
-    this.microserviceProcess = null;
+    if (CONFIG.MIN_REDIRECTORS < 0 || CONFIG.MAX_REDIRECTORS < Math.max(CONFIG.MIN_REDIRECTORS, 1)) {
+      throw new Error('Redirector pool limits must satisfy 0 <= min <= max and max >= 1');
+    }
+    
+    this.pool = new RedirectorPool({
+      script: CONFIG.MICROSERVICE_SCRIPT,
+      host: CONFIG.REDIRECTOR_HOST,
+      portBase: CONFIG.REDIRECTOR_PORT_BASE,
+      maxWorkers: CONFIG.MAX_REDIRECTORS,
+      readyTimeoutMs: CONFIG.READY_TIMEOUT_MS,
+      onCrash: (worker) => this.handleCrash(worker)
+    });
+    
+    this.supervisor = new CrashSupervisor({
+      backoffMs: CONFIG.RESTART_BACKOFF_MS,
+      maxBackoffMs: CONFIG.RESTART_BACKOFF_MAX_MS,
+      maxCrashes: CONFIG.MAX_CRASHES,
+      crashWindowMs: CONFIG.CRASH_WINDOW_MS,
+      breakerResetMs: CONFIG.BREAKER_RESET_MS
+    });
+    this.restartTimers = new Set();
     this.isMonitoring = false;
     this.pollInterval = null;
     this.consecutiveErrors = 0;
     this.maxConsecutiveErrors = 3;
+    this.checkInProgress = false;
+    
+    this.controller = new ScalingController({
+      policy: createPolicy(CONFIG.POLICY, {
+        scaleUpLoad: CONFIG.SCALE_UP_LOAD,
+        scaleDownLoad: CONFIG.SCALE_DOWN_LOAD,
+        movingAverageSamples: CONFIG.MOVING_AVERAGE_SAMPLES,
+        scaleUpP95: CONFIG.SCALE_UP_P95_MS,
+        scaleDownP95: CONFIG.SCALE_DOWN_P95_MS
+      }),
+      confirmUp: CONFIG.CONFIRM_UP,
+      confirmDown: CONFIG.CONFIRM_DOWN,
+      dwellUpMs: CONFIG.DWELL_UP_MS,
+      dwellDownMs: CONFIG.DWELL_DOWN_MS,
+      cooldownMs: CONFIG.COOLDOWN_MS
+    });
     
     console.log('🤖 Morphlink Autopilot System initialized');
-    console.log(`📊 Load threshold: ${CONFIG.LOAD_THRESHOLD}`);
+    console.log(`📊 Scaling policy: ${CONFIG.POLICY} (${this.controller.policy.describe()})`);
+    console.log(`✅ Confirmation: ${CONFIG.CONFIRM_UP} samples up, ${CONFIG.CONFIRM_DOWN} samples down`);
+    console.log(`🧮 Redirector pool: ${CONFIG.MIN_REDIRECTORS}-${CONFIG.MAX_REDIRECTORS} workers from port ${CONFIG.REDIRECTOR_PORT_BASE}`);
     console.log(`⏱️  Poll interval: ${CONFIG.POLL_INTERVAL}ms`);
   }
 
@@ -71,31 +178,39 @@ class AutopilotSystem {
       this.pollInterval = null;
     }
     
-    // Stop microservice if running
-    if (this.microserviceProcess) {
-      this.stopMicroservice();
-    }
+    // Cancel pending crash restarts
+    this.restartTimers.forEach(timer => clearTimeout(timer));
+    this.restartTimers.clear();
+    
+    // Stop every redirector worker
+    this.pool.stopAll();
   }
 
   // Main autopilot logic: check load and scale accordingly
   async checkLoadAndScale() {
+    // A slow scale-up can outlast the poll interval; never run two checks at
+    // once (crash restarts take the same flag)
+    if (this.checkInProgress) {
+      console.log('⏳ Previous check still running, skipping this one');
+      return;
+    }
+    this.checkInProgress = true;
+    
     try {
       // Get current load from monolith health endpoint
       const healthResponse = await axios.get(`${CONFIG.MONOLITH_URL}/api/health`, {
         timeout: 5000
       });
       
-      const { redirector } = healthResponse.data;
-      const currentLoad = redirector.load;
-      const currentStatus = redirector.status;
+      const sample = this.readSample(healthResponse.data);
       
-      console.log(`📊 Current load: ${currentLoad}, Redirector status: ${currentStatus}`);
+      console.log(`📊 Current load: ${sample.load}/min, ${sample.rps} req/s per redirector, p95 ${sample.p95 ?? '-'}ms, Redirector status: ${sample.status}, workers: ${this.pool.size}`);
       
       // Reset consecutive errors on successful health check
       this.consecutiveErrors = 0;
       
       // Decision logic for scaling
-      await this.makeScalingDecision(currentLoad, currentStatus);
+      await this.makeScalingDecision(sample);
       
     } catch (error) {
       this.consecutiveErrors++;
@@ -106,133 +221,219 @@ class AutopilotSystem {
         console.error('🚨 Too many consecutive errors. Stopping autopilot.');
         this.stop();
       }
+    } finally {
+      this.checkInProgress = false;
     }
   }
 
-  // Make scaling decisions based on load and current status
-  async makeScalingDecision(currentLoad, currentStatus) {
-    const isMicroserviceRunning = this.microserviceProcess !== null;
+  // The parts of a monolith health response the scaling policies look at.
+  // Load and request rate are divided over the redirectors that serve them
+  // (the monolith alone while the pool is empty), so thresholds stay per
+  // redirector as the pool grows.
+  readSample(health) {
+    const { redirector } = health;
+    const windows = redirector.metrics ? redirector.metrics.windows : null;
+    const redirectors = Math.max(this.pool.size, 1);
+    return {
+      load: Math.round((redirector.load / redirectors) * 100) / 100,
+      rps: windows ? Math.round((windows['10s'].rps / redirectors) * 100) / 100 : null,
+      p95: windows ? windows['1m'].p95 : null,
+      status: redirector.status
+    };
+  }
+
+  // Make scaling decisions based on the policy's reading of the sample
+  async makeScalingDecision(sample) {
+    // Restarts of crashed workers come first; their size is what we scale from
+    if (this.restartTimers.size > 0) {
+      console.log(`⏳ No scaling while ${this.restartTimers.size} crashed worker(s) wait for a restart`);
+      return;
+    }
+    
+    const breakerOpen = !this.supervisor.allowsStart();
+    
+    // Keep the pool at its minimum size whatever the policy says
+    if (this.pool.size < CONFIG.MIN_REDIRECTORS && !breakerOpen) {
+      console.log(`🧮 Pool below its minimum of ${CONFIG.MIN_REDIRECTORS} workers`);
+      try {
+        await this.scaleUp();
+        this.supervisor.recordStart();
+      } catch (error) {
+        console.error('❌ Scale UP failed:', error.message);
+      }
+      return;
+    }
+    
+    const decision = this.controller.decide(sample, {
+      up: this.pool.size < CONFIG.MAX_REDIRECTORS && !breakerOpen,
+      down: this.pool.size > CONFIG.MIN_REDIRECTORS
+    });
     
-    // SCALE UP: Load is high and microservice is not running
-    if (currentLoad > CONFIG.LOAD_THRESHOLD && !isMicroserviceRunning) {
-      console.log(`🔥 High load detected (${currentLoad} > ${CONFIG.LOAD_THRESHOLD})`);
-      console.log('🚀 Scaling UP: Starting redirector microservice...');
+    // SCALE UP: Policy confirmed high load and the pool can grow
+    if (decision.action === 'up') {
+      console.log(`🔥 High load confirmed (${decision.reason})`);
       
       try {
-        // Start the microservice
-        await this.startMicroservice();
-        
-        // Wait a moment for microservice to start
-        await this.sleep(2000);
-        
-        // Deactivate monolith redirector
-        await this.setMonolithRedirectorStatus('inactive');
-        
-        console.log('✅ Scale UP completed successfully');
+        await this.scaleUp();
+        this.controller.recordResult(true);
+        this.supervisor.recordStart();
+        console.log(`✅ Scale UP completed successfully (${this.pool.size} workers)`);
       } catch (error) {
+        this.controller.recordResult(false);
         console.error('❌ Scale UP failed:', error.message);
       }
     }
     
-    // SCALE DOWN: Load is low and microservice is running
-    else if (currentLoad <= CONFIG.LOAD_THRESHOLD && isMicroserviceRunning) {
-      console.log(`📉 Low load detected (${currentLoad} <= ${CONFIG.LOAD_THRESHOLD})`);
-      console.log('📉 Scaling DOWN: Stopping redirector microservice...');
+    // SCALE DOWN: Policy confirmed low load and the pool can shrink
+    else if (decision.action === 'down') {
+      console.log(`📉 Low load confirmed (${decision.reason})`);
       
       try {
-        // Reactivate monolith redirector first
-        await this.setMonolithRedirectorStatus('active');
-        
-        // Wait a moment for monolith to take over
-        await this.sleep(1000);
-        
-        // Stop the microservice
-        this.stopMicroservice();
-        
-        console.log('✅ Scale DOWN completed successfully');
+        await this.scaleDown();
+        this.controller.recordResult(true);
+        console.log(`✅ Scale DOWN completed successfully (${this.pool.size} workers)`);
       } catch (error) {
+        this.controller.recordResult(false);
         console.error('❌ Scale DOWN failed:', error.message);
       }
     }
     
     // NO ACTION NEEDED
     else {
-      const action = isMicroserviceRunning ? 'microservice active' : 'monolith active';
-      console.log(`✨ Load within acceptable range (${currentLoad}). ${action}`);
+      const action = this.pool.size > 0 ? `${this.pool.size} redirector workers active` : 'monolith active';
+      const reason = breakerOpen && decision.signal === 'up' ? 'circuit breaker open' : decision.reason;
+      console.log(`✨ No scaling (signal: ${decision.signal}, ${reason}). ${action}`);
     }
   }
 
-  // Start the redirector microservice
-  async startMicroservice() {
-    return new Promise((resolve, reject) => {
-      console.log('🔄 Spawning redirector microservice process...');
-      
-      // Spawn the microservice process
-      this.microserviceProcess = spawn('node', [CONFIG.MICROSERVICE_SCRIPT], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        detached: false
-      });
-      
-      // Handle microservice output
-      this.microserviceProcess.stdout.on('data', (data) => {
-        console.log(`[Microservice] ${data.toString().trim()}`);
-      });
-      
-      this.microserviceProcess.stderr.on('data', (data) => {
-        console.error(`[Microservice Error] ${data.toString().trim()}`);
-      });
-      
-      // Handle microservice exit
-      this.microserviceProcess.on('exit', (code, signal) => {
-        console.log(`🔄 Microservice exited with code ${code}, signal ${signal}`);
-        this.microserviceProcess = null;
-      });
-      
-      this.microserviceProcess.on('error', (error) => {
-        console.error('❌ Failed to start microservice:', error.message);
-        this.microserviceProcess = null;
-        reject(error);
-      });
+  // Add one worker and hand it to the monolith's balancer once its /health
+  // answers. The first worker also takes redirects away from the monolith
+  // redirector. Any failure rolls the monolith back to match the pool.
+  async scaleUp() {
+    console.log('🚀 Scaling UP: Starting a redirector worker...');
+    let worker = null;
+    
+    try {
+      worker = await this.pool.startWorker();
       
-      // Give the process a moment to start
-      setTimeout(() => {
-        if (this.microserviceProcess) {
-          console.log('✅ Microservice process started successfully');
-          resolve();
-        } else {
-          reject(new Error('Microservice failed to start'));
-        }
-      }, 1000);
-    });
+      await this.setMonolithRedirectors(this.pool.urls());
+      if (this.pool.size === 1) {
+        await this.setMonolithRedirectorStatus('inactive');
+      }
+    } catch (error) {
+      // A worker the monolith does not know about is no use
+      if (worker) {
+        this.pool.stopWorker(worker);
+      }
+      await this.rollBack();
+      throw error;
+    }
+  }
+
+  // After a failed scale-up or a crash, make sure the monolith only relies on
+  // workers that are still running, and redirects by itself again if none are
+  async rollBack() {
+    console.log('↩️  Rolling back the monolith to the running workers...');
+    
+    try {
+      if (this.pool.size === 0) {
+        await this.setMonolithRedirectorStatus('active');
+      }
+      await this.setMonolithRedirectors(this.pool.urls());
+    } catch (error) {
+      console.error('❌ Rollback failed:', error.message);
+    }
+  }
+
+  // A ready worker exited without being stopped. Take it out of the monolith's
+  // rotation straight away, then restart it after a backoff unless the crashes
+  // have opened the circuit breaker.
+  async handleCrash(worker) {
+    console.error(`💥 Redirector worker on port ${worker.port} crashed (${worker.exitReason})`);
+    await this.rollBack();
+    this.scheduleRestart();
+  }
+
+  scheduleRestart() {
+    const result = this.supervisor.recordCrash();
+    if (result.tripped) {
+      console.error(`🚨 Circuit breaker open after repeated crashes: no redirector workers will be started for ${CONFIG.BREAKER_RESET_MS}ms`);
+      return;
+    }
+    if (!this.isMonitoring) {
+      return;
+    }
+    
+    console.log(`🔁 Restarting a redirector worker in ${result.delayMs}ms...`);
+    const timer = setTimeout(() => {
+      this.restartTimers.delete(timer);
+      this.restartWorker();
+    }, result.delayMs);
+    this.restartTimers.add(timer);
   }
 
-  // Stop the redirector microservice
-  stopMicroservice() {
-    if (!this.microserviceProcess) {
-      console.log('⚠️  No microservice process to stop');
+  async restartWorker() {
+    // Wait for a running check (or another restart) to finish first
+    if (this.checkInProgress) {
+      const timer = setTimeout(() => {
+        this.restartTimers.delete(timer);
+        this.restartWorker();
+      }, 1000);
+      this.restartTimers.add(timer);
       return;
     }
+    if (!this.isMonitoring || !this.supervisor.allowsStart() || this.pool.size >= CONFIG.MAX_REDIRECTORS) {
+      return;
+    }
+    
+    this.checkInProgress = true;
+    try {
+      await this.scaleUp();
+      this.supervisor.recordStart();
+      console.log(`✅ Redirector worker restarted (${this.pool.size} workers)`);
+    } catch (error) {
+      // A restart that fails counts as another crash
+      console.error('❌ Restart failed:', error.message);
+      this.scheduleRestart();
+    } finally {
+      this.checkInProgress = false;
+    }
+  }
+
+  // Remove the newest worker. The monolith stops sending it traffic before it
+  // is stopped; the last worker hands redirects back to the monolith first.
+  async scaleDown() {
+    const worker = this.pool.newest();
+    console.log(`📉 Scaling DOWN: Stopping the redirector worker on port ${worker.port}...`);
+    
+    if (this.pool.size === 1) {
+      await this.setMonolithRedirectorStatus('active');
+    }
+    await this.setMonolithRedirectors(this.pool.urls().filter(url => url !== worker.url));
     
-    console.log('🛑 Terminating microservice process...');
+    // Let requests already proxied to the worker finish
+    await this.sleep(1000);
     
+    this.pool.stopWorker(worker);
+  }
+
+  // Tell the monolith which redirector workers to balance proxied redirects over
+  async setMonolithRedirectors(urls) {
     try {
-      // Send SIGTERM for graceful shutdown
-      this.microserviceProcess.kill('SIGTERM');
+      console.log(`🔧 Registering redirector workers: ${urls.join(', ') || 'none'}`);
       
-      // Force kill after timeout if needed
-      setTimeout(() => {
-        if (this.microserviceProcess) {
-          console.log('⚡ Force killing microservice process...');
-          this.microserviceProcess.kill('SIGKILL');
+      await axios.put(
+        `${CONFIG.MONOLITH_URL}/api/internal/redirectors`,
+        { urls },
+        {
+          timeout: 5000,
+          headers: { 'X-Internal-Token': CONFIG.INTERNAL_API_SECRET }
         }
-      }, 5000);
-      
+      );
     } catch (error) {
-      console.error('❌ Error stopping microservice:', error.message);
+      console.error(`❌ Failed to register redirector workers:`, error.message);
+      throw error;
     }
-    
-    this.microserviceProcess = null;
-    console.log('✅ Microservice stopped');
   }
 
   // Set the monolith redirector status (active/inactive)
@@ -243,7 +444,10 @@ class AutopilotSystem {
       const response = await axios.post(
         `${CONFIG.MONOLITH_URL}/api/internal/set-redirector-status`,
         { status },
-        { timeout: 5000 }
+        {
+          timeout: 5000,
+          headers: { 'X-Internal-Token': CONFIG.INTERNAL_API_SECRET }
+        }
       );
       
       console.log(`✅ Monolith redirector status updated: ${response.data.currentStatus}`);
@@ -262,9 +466,13 @@ class AutopilotSystem {
   getStatus() {
     return {
       isMonitoring: this.isMonitoring,
-      microserviceRunning: this.microserviceProcess !== null,
+      redirectors: this.pool.list(),
+      crashSupervisor: this.supervisor.status(),
       consecutiveErrors: this.consecutiveErrors,
-      config: CONFIG
+      config: {
+        ...CONFIG,
+        INTERNAL_API_SECRET: '[redacted]'
+      }
     };
   }
 }
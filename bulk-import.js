@@ -0,0 +1,130 @@
+// Morphlink bulk import
+// Turns the body of POST /api/links/bulk (a JSON array or a CSV file) into
+// link requests. Each row is validated on its own by the route, so one bad
+// row never blocks the rest of the import.
+
+// Most rows accepted in one request
+const BULK_MAX_ROWS = 500;
+
+// CSV header names (case-insensitive) and the link fields they map to
+const CSV_COLUMNS = {
+  url: 'longUrl',
+  longurl: 'longUrl',
+  alias: 'alias',
+  tags: 'tags',
+  folder: 'folder',
+  expiry: 'expiresAt',
+  expiresat: 'expiresAt',
+  maxclicks: 'maxClicks',
+  title: 'title',
+  description: 'description',
+  interstitial: 'interstitial'
+};
+
+// Parse RFC 4180 CSV text into an array of rows (arrays of strings).
+// Handles quoted fields, escaped quotes ("") and CRLF line endings.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Map CSV rows to link requests using the header row.
+// Returns { error } or { rows }.
+function rowsFromCsv(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return { error: 'CSV file is empty' };
+  }
+
+  const fields = header.map(name => CSV_COLUMNS[name.trim().toLowerCase()] || null);
+  if (!fields.includes('longUrl')) {
+    return { error: 'CSV header must include a "url" column' };
+  }
+
+  const rows = records.map(cells => {
+    const row = {};
+    fields.forEach((field, index) => {
+      if (field && cells[index] !== undefined && cells[index].trim() !== '') {
+        row[field] = cells[index].trim();
+      }
+    });
+    return row;
+  });
+  return { rows };
+}
+
+// Read the link requests from a bulk request body: text/csv, a JSON array,
+// or { links: [...] }.
+// Returns { error } or { rows }.
+function parseBulkBody(req) {
+  let result;
+  if (req.is('text/csv')) {
+    result = rowsFromCsv(typeof req.body === 'string' ? req.body : '');
+  } else {
+    const rows = Array.isArray(req.body) ? req.body : req.body && req.body.links;
+    result = Array.isArray(rows)
+      ? { rows }
+      : { error: 'Send a JSON array of links, { "links": [...] }, or a text/csv body' };
+  }
+
+  if (result.error) {
+    return result;
+  }
+  if (result.rows.length === 0) {
+    return { error: 'No links to import' };
+  }
+  if (result.rows.length > BULK_MAX_ROWS) {
+    return { error: `Too many links: at most ${BULK_MAX_ROWS} per request` };
+  }
+  return result;
+}
+
+module.exports = {
+  BULK_MAX_ROWS,
+  parseCsv,
+  rowsFromCsv,
+  parseBulkBody
+};
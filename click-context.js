@@ -0,0 +1,128 @@
+// Morphlink click context
+// Extracts the analytics details of a redirect request (referrer, browser,
+// OS, device class, language and coarse country). Shared by the monolith and
+// the redirector microservice. Raw IP addresses are never returned: they are
+// only used for the country lookup and stored in anonymized form.
+
+const { lookupCountry } = require('./geo');
+
+// Ordered user agent patterns; the first match wins
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|preview|curl|wget|python-requests|axios|node-fetch|httpclient/i;
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+  ['Internet Explorer', /MSIE |Trident\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Chrome OS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+function matchFirst(patterns, userAgent) {
+  const match = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : 'Other';
+}
+
+// Parse a user agent string into browser, OS and device class
+function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', device: 'unknown' };
+  }
+
+  let device = 'desktop';
+  if (BOT_PATTERN.test(userAgent)) {
+    device = 'bot';
+  } else if (/iPad|Tablet/i.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    device = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) {
+    device = 'mobile';
+  }
+
+  return {
+    browser: matchFirst(BROWSERS, userAgent),
+    os: matchFirst(OPERATING_SYSTEMS, userAgent),
+    device
+  };
+}
+
+// Drop the host part of an address: the last IPv4 octet, or everything after
+// the first 48 bits of an IPv6 address
+function anonymizeIp(ip) {
+  if (!ip) {
+    return null;
+  }
+
+  const ipv4 = ip.replace(/^::ffff:/i, '');
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ipv4)) {
+    return ipv4.split('.').slice(0, 3).concat('0').join('.');
+  }
+
+  if (ip.includes(':')) {
+    // Expand "::" so the first three groups can be kept
+    const [head, tail = ''] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups];
+    return `${groups.slice(0, 3).join(':')}::`;
+  }
+
+  return null;
+}
+
+// Primary language from an Accept-Language header (e.g. "en-US")
+function parseLanguage(acceptLanguage) {
+  if (!acceptLanguage) {
+    return null;
+  }
+  const primary = acceptLanguage.split(',')[0].split(';')[0].trim();
+  return primary && primary !== '*' ? primary : null;
+}
+
+// Referrer without its query string or fragment, plus its host
+function parseReferrer(referrer) {
+  if (!referrer) {
+    return { referrer: null, referrerHost: null };
+  }
+  try {
+    const url = new URL(referrer);
+    return {
+      referrer: `${url.origin}${url.pathname}`,
+      referrerHost: url.hostname
+    };
+  } catch {
+    return { referrer: null, referrerHost: null };
+  }
+}
+
+// Build the analytics context for a redirect request
+function getClickContext(req) {
+  const userAgent = req.get('user-agent') || null;
+
+  return {
+    ...parseReferrer(req.get('referer')),
+    userAgent: userAgent || 'Unknown',
+    ...parseUserAgent(userAgent),
+    language: parseLanguage(req.get('accept-language')),
+    country: lookupCountry(req.ip),
+    ip: anonymizeIp(req.ip)
+  };
+}
+
+module.exports = {
+  getClickContext,
+  parseUserAgent,
+  anonymizeIp,
+  parseLanguage,
+  parseReferrer
+};
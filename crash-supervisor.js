@@ -0,0 +1,73 @@
+// Morphlink crash supervisor
+// Decides how the autopilot reacts when a redirector worker dies unexpectedly.
+//
+// Each crash is answered with a restart after an exponential backoff
+// (backoffMs, 2 * backoffMs, 4 * backoffMs, ... up to maxBackoffMs, counted
+// over the crashes of the last crashWindowMs). When maxCrashes crashes fall in
+// that window the circuit breaker opens: no worker is started, for restarts or
+// for scaling, until breakerResetMs have passed. The breaker is then
+// half-open; the next start is allowed, and a crash before it has started
+// cleanly opens the breaker again straight away.
+
+class CrashSupervisor {
+  constructor({ backoffMs, maxBackoffMs, maxCrashes, crashWindowMs, breakerResetMs }) {
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.maxCrashes = maxCrashes;
+    this.crashWindowMs = crashWindowMs;
+    this.breakerResetMs = breakerResetMs;
+
+    this.crashes = []; // Crash times within the window, oldest first
+    this.openedAt = null;
+  }
+
+  // 'closed', 'open' or 'half-open'
+  state(now = Date.now()) {
+    if (this.openedAt === null) return 'closed';
+    return now - this.openedAt < this.breakerResetMs ? 'open' : 'half-open';
+  }
+
+  // Whether a worker may be started now
+  allowsStart(now = Date.now()) {
+    return this.state(now) !== 'open';
+  }
+
+  // Record an unexpected exit (or a failed restart).
+  // Returns { tripped: true } when the breaker opens, otherwise { delayMs }
+  // to wait before restarting.
+  recordCrash(now = Date.now()) {
+    const halfOpen = this.state(now) === 'half-open';
+    this.crashes = this.crashes.filter(time => now - time < this.crashWindowMs);
+    this.crashes.push(now);
+
+    if (halfOpen || this.crashes.length >= this.maxCrashes) {
+      this.openedAt = now;
+      return { tripped: true };
+    }
+
+    const delayMs = Math.min(this.maxBackoffMs, this.backoffMs * 2 ** (this.crashes.length - 1));
+    return { tripped: false, delayMs };
+  }
+
+  // A worker started and passed its readiness check; closes a half-open breaker
+  recordStart(now = Date.now()) {
+    if (this.state(now) === 'half-open') {
+      this.openedAt = null;
+      this.crashes = [];
+    }
+  }
+
+  // For AutopilotSystem.getStatus
+  status(now = Date.now()) {
+    const state = this.state(now);
+    return {
+      state,
+      recentCrashes: this.crashes.filter(time => now - time < this.crashWindowMs).length,
+      halfOpenAt: state === 'open' ? new Date(this.openedAt + this.breakerResetMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  CrashSupervisor
+};
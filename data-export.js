@@ -0,0 +1,150 @@
+// Morphlink data export
+// Streams a user's links and click events as CSV, JSON or NDJSON. Records are
+// written one at a time, waiting for the socket to drain, so large exports
+// never build the whole response body in memory.
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const LINK_COLUMNS = [
+  'id', 'shortCode', 'longUrl', 'title', 'description', 'tags', 'folder',
+  'customAlias', 'interstitial', 'clicks', 'createdAt', 'expiresAt', 'maxClicks',
+  'archivedAt', 'archiveReason'
+];
+
+const CLICK_COLUMNS = [
+  'id', 'shortCode', 'timestamp', 'referrer', 'referrerHost', 'userAgent',
+  'browser', 'os', 'device', 'language', 'country', 'ip'
+];
+
+// Validate export query parameters.
+// Returns { error } or { format, from, to } (from/to may be null).
+function parseExportQuery(query) {
+  const format = query.format || 'json';
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  return { format, from, to };
+}
+
+// Whether an ISO timestamp falls inside an optional [from, to] range
+function inRange(timestamp, { from, to }) {
+  const date = new Date(timestamp);
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+// Spreadsheets run cells starting with one of these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV output (arrays become "a;b"). Text that a spreadsheet
+// would read as a formula is prefixed with ' so it opens as plain text.
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write a chunk, resolving once the socket can take more
+function write(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Stream records (any iterable) to the response in the requested format.
+// Only the listed columns of each record are exported.
+async function streamExport(res, { records, columns, format, filename }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${extension}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  const pick = (record) => Object.fromEntries(columns.map(column => [column, record[column] ?? null]));
+
+  if (format === 'csv') {
+    await write(res, `${columns.join(',')}\r\n`);
+  } else if (format === 'json') {
+    await write(res, '[');
+  }
+
+  let count = 0;
+  for (const record of records) {
+    // Stop early if the client went away
+    if (res.destroyed) {
+      return count;
+    }
+
+    if (format === 'csv') {
+      await write(res, `${columns.map(column => csvValue(record[column])).join(',')}\r\n`);
+    } else if (format === 'json') {
+      await write(res, `${count === 0 ? '\n' : ',\n'}${JSON.stringify(pick(record))}`);
+    } else {
+      await write(res, `${JSON.stringify(pick(record))}\n`);
+    }
+    count++;
+  }
+
+  if (format === 'json') {
+    await write(res, count === 0 ? ']' : '\n]');
+  }
+  res.end();
+  return count;
+}
+
+// A user's links created inside the range
+function* exportableLinks(links, range) {
+  for (const link of links) {
+    if (inRange(link.createdAt, range)) {
+      yield link;
+    }
+  }
+}
+
+// Click events for a set of short codes inside the range
+function* exportableClicks(events, shortCodes, range) {
+  for (const event of events) {
+    if (shortCodes.has(event.shortCode) && inRange(event.timestamp, range)) {
+      yield event;
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  LINK_COLUMNS,
+  CLICK_COLUMNS,
+  parseExportQuery,
+  streamExport,
+  exportableLinks,
+  exportableClicks
+};
@@ -1,119 +1,410 @@
-// Shared in-memory database for the Morphlink application
-// This module provides centralized data storage for users, links, and analytics
+// Shared database for the Morphlink application
+// This module provides centralized data storage for users, links, and analytics.
+// Records are kept in memory and every change is persisted through a pluggable
+// store (see ./storage), selected with the MORPHLINK_STORAGE environment variable.
+// With the file store, the monolith and the redirector microservice share one
+// log and pick up each other's changes before every read and write.
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { applyOperation } = require('./storage/schema');
 
 class Database {
-  constructor() {
-    // In-memory storage arrays
-    this.users = [];
-    this.links = [];
-    this.analytics = [];
-    
-    // Load tracking for autopilot system
-    this.loadCounter = 0;
-    this.loadResetInterval = null;
-    
-    // Initialize load counter reset (every minute)
-    this.initLoadTracking();
+  constructor(store = createStore()) {
+    // Load persisted data (schema creation and migration happen in the store)
+    this.store = store;
+    this.hydrate(this.store.load());
   }
 
-  // Initialize load tracking with 1-minute reset interval
-  initLoadTracking() {
-    this.loadResetInterval = setInterval(() => {
-      this.loadCounter = 0;
-    }, 60000); // Reset every 60 seconds
+  // Replace the in-memory working set
+  hydrate(data) {
+    this.users = data.users;
+    this.links = data.links;
+    this.analytics = data.analytics;
+    this.linkRevisions = data.linkRevisions;
+    this.sessions = data.sessions;
+    this.accountTokens = data.accountTokens;
+    this.apiKeys = data.apiKeys;
+    this.blockedDomains = data.blockedDomains;
+
+    // Highest id per collection, filled in by nextId and kept up to date by apply
+    this.maxIds = {};
+  }
+
+  // Apply changes written by other processes sharing the store
+  refresh() {
+    const changes = this.store.poll();
+    if (!changes) {
+      return;
+    }
+
+    if (changes.data) {
+      this.hydrate(changes.data);
+    } else {
+      for (const operation of changes.operations) {
+        this.apply(operation);
+      }
+    }
+  }
+
+  // Apply a change to the in-memory working set
+  apply(operation) {
+    const result = applyOperation(this, operation);
+    const id = operation.op === 'insert' ? operation.record.id : null;
+    if (Number.isInteger(id) && operation.collection in this.maxIds) {
+      this.maxIds[operation.collection] = Math.max(this.maxIds[operation.collection], id);
+    }
+    return result;
+  }
+
+  // Apply a change in memory and persist it through the store
+  commit(operation) {
+    const result = this.apply(operation);
+    this.store.append(operation);
+    return result;
+  }
+
+  // Next free id for a collection. Only the monolith inserts records with
+  // numeric ids; the redirectors only log clicks, which use UUIDs.
+  nextId(collection) {
+    if (!(collection in this.maxIds)) {
+      this.maxIds[collection] = this[collection].reduce(
+        (max, record) => Number.isInteger(record.id) ? Math.max(max, record.id) : max,
+        0
+      );
+    }
+    return this.maxIds[collection] + 1;
   }
 
   // User management methods
   addUser(user) {
+    this.refresh();
     const newUser = {
-      id: this.users.length + 1,
+      id: this.nextId('users'),
       email: user.email,
       password: user.password, // In production, this should be hashed
+      role: user.role || 'user', // 'user' or 'admin'
+      emailVerifiedAt: null, // Set once the user opens the verification link
       createdAt: new Date().toISOString()
     };
-    this.users.push(newUser);
-    return newUser;
+    return this.commit({ op: 'insert', collection: 'users', record: newUser });
   }
 
   findUserByEmail(email) {
+    this.refresh();
     return this.users.find(user => user.email === email);
   }
 
+  findUserById(id) {
+    this.refresh();
+    return this.users.find(user => user.id === id);
+  }
+
+  updateUser(id, changes) {
+    this.refresh();
+    return this.commit({ op: 'update', collection: 'users', id, changes });
+  }
+
+  // Session management methods
+  addSession(session) {
+    this.refresh();
+    const now = new Date().toISOString();
+    const newSession = {
+      id: this.nextId('sessions'),
+      userId: session.userId,
+      refreshTokenHash: null, // Only hashes of refresh tokens are stored
+      previousTokenHash: null, // Detects reuse of a rotated refresh token
+      device: session.device || null,
+      deviceType: session.deviceType || null,
+      ip: session.ip || null,
+      createdAt: now,
+      lastUsedAt: now,
+      rotatedAt: null,
+      expiresAt: session.expiresAt,
+      revokedAt: null,
+      revokeReason: null
+    };
+    return this.commit({ op: 'insert', collection: 'sessions', record: newSession });
+  }
+
+  findSessionById(id) {
+    this.refresh();
+    return this.sessions.find(session => session.id === id);
+  }
+
+  getSessionsByUserId(userId) {
+    this.refresh();
+    return this.sessions.filter(session => session.userId === userId);
+  }
+
+  updateSession(id, changes) {
+    this.refresh();
+    return this.commit({ op: 'update', collection: 'sessions', id, changes });
+  }
+
+  revokeSession(id, reason) {
+    return this.updateSession(id, { revokedAt: new Date().toISOString(), revokeReason: reason });
+  }
+
+  // Email verification and password reset tokens
+  addAccountToken(token) {
+    this.refresh();
+    const newToken = {
+      id: this.nextId('accountTokens'),
+      userId: token.userId,
+      purpose: token.purpose, // 'verify_email' or 'reset_password'
+      tokenHash: token.tokenHash, // Only hashes of tokens are stored
+      createdAt: new Date().toISOString(),
+      expiresAt: token.expiresAt,
+      usedAt: null
+    };
+    return this.commit({ op: 'insert', collection: 'accountTokens', record: newToken });
+  }
+
+  findAccountTokenById(id) {
+    this.refresh();
+    return this.accountTokens.find(token => token.id === id);
+  }
+
+  getAccountTokensByUserId(userId) {
+    this.refresh();
+    return this.accountTokens.filter(token => token.userId === userId);
+  }
+
+  updateAccountToken(id, changes) {
+    this.refresh();
+    return this.commit({ op: 'update', collection: 'accountTokens', id, changes });
+  }
+
+  deleteAccountToken(id) {
+    this.refresh();
+    return this.commit({ op: 'delete', collection: 'accountTokens', id });
+  }
+
+  // API key management methods
+  addApiKey(apiKey) {
+    this.refresh();
+    const newApiKey = {
+      id: this.nextId('apiKeys'),
+      userId: apiKey.userId,
+      name: apiKey.name,
+      scopes: apiKey.scopes, // Subset of 'create', 'read', 'delete', 'analytics'
+      keyHash: null, // Only hashes of keys are stored
+      hint: null, // Start of the key, so users can tell their keys apart
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    return this.commit({ op: 'insert', collection: 'apiKeys', record: newApiKey });
+  }
+
+  findApiKeyById(id) {
+    this.refresh();
+    return this.apiKeys.find(apiKey => apiKey.id === id);
+  }
+
+  getApiKeysByUserId(userId) {
+    this.refresh();
+    return this.apiKeys.filter(apiKey => apiKey.userId === userId);
+  }
+
+  updateApiKey(id, changes) {
+    this.refresh();
+    return this.commit({ op: 'update', collection: 'apiKeys', id, changes });
+  }
+
+  revokeApiKey(id) {
+    return this.updateApiKey(id, { revokedAt: new Date().toISOString() });
+  }
+
+  // Destination blocklist methods
+  addBlockedDomain(entry) {
+    this.refresh();
+    const newEntry = {
+      id: this.nextId('blockedDomains'),
+      domain: entry.domain, // Also blocks every subdomain
+      reason: entry.reason || null,
+      createdBy: entry.createdBy || null,
+      createdAt: new Date().toISOString()
+    };
+    return this.commit({ op: 'insert', collection: 'blockedDomains', record: newEntry });
+  }
+
+  getBlockedDomains() {
+    this.refresh();
+    return this.blockedDomains;
+  }
+
+  findBlockedDomainById(id) {
+    this.refresh();
+    return this.blockedDomains.find(entry => entry.id === id);
+  }
+
+  deleteBlockedDomain(id) {
+    this.refresh();
+    return this.commit({ op: 'delete', collection: 'blockedDomains', id });
+  }
+
   // Link management methods
   addLink(link) {
+    this.refresh();
     const newLink = {
-      id: this.links.length + 1,
+      id: this.nextId('links'),
       shortCode: link.shortCode,
       longUrl: link.longUrl,
       userId: link.userId || null, // Associate with user
+      customAlias: link.customAlias || false, // Short code was chosen by the user
+      expiresAt: link.expiresAt || null, // Stop redirecting after this date
+      maxClicks: link.maxClicks || null, // Stop redirecting after this many clicks
+      archivedAt: null, // Set by the expiry sweeper once the link has expired
+      archiveReason: null,
+      title: link.title || null, // Owner-provided metadata
+      description: link.description || null,
+      tags: link.tags || [], // Lower-case labels for organising links
+      folder: link.folder || null, // At most one folder per link
+      interstitial: link.interstitial || false, // Show a preview page instead of redirecting
+      previousShortCodes: [], // Codes the link was renamed from; they still redirect to it
       createdAt: new Date().toISOString(),
       clicks: 0
     };
-    this.links.push(newLink);
-    return newLink;
+    return this.commit({ op: 'insert', collection: 'links', record: newLink });
   }
 
+  // Also finds renamed links by their previous short codes, so old short URLs
+  // keep redirecting and the codes cannot be claimed by another link
   findLinkByShortCode(shortCode) {
-    return this.links.find(link => link.shortCode === shortCode);
+    this.refresh();
+    return this.links.find(link => link.shortCode === shortCode) ||
+      this.links.find(link => (link.previousShortCodes || []).includes(shortCode));
   }
 
   getLinkByShortCode(shortCode) {
+    this.refresh();
     return this.links.find(link => link.shortCode === shortCode);
   }
 
   getAllLinks() {
+    this.refresh();
     return this.links;
   }
 
   getLinksByUserId(userId) {
+    this.refresh();
     return this.links.filter(link => link.userId === userId);
   }
 
+  // Update a link and record what changed as a new revision.
+  // Returns the updated link, or null if it does not exist.
+  updateLink(shortCode, changes, userId) {
+    const link = this.findLinkByShortCode(shortCode);
+    if (!link) {
+      return null;
+    }
+
+    const diff = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (link[field] !== value) {
+        diff[field] = { from: link[field], to: value };
+      }
+    }
+
+    if (Object.keys(diff).length === 0) {
+      return link;
+    }
+
+    const updates = {};
+    for (const [field, { to }] of Object.entries(diff)) {
+      updates[field] = to;
+    }
+
+    // The old short code stays reserved for this link (renaming back to it
+    // makes it the current code again)
+    if (diff.shortCode) {
+      updates.previousShortCodes = (link.previousShortCodes || [])
+        .filter(code => code !== diff.shortCode.to)
+        .concat(diff.shortCode.from);
+    }
+
+    const previousRevisions = this.linkRevisions.filter(revision => revision.linkId === link.id);
+    const revision = {
+      id: this.nextId('linkRevisions'),
+      linkId: link.id,
+      revision: previousRevisions.length + 1,
+      changes: diff,
+      userId: userId || null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.commit({ op: 'update', collection: 'links', id: link.id, changes: updates });
+    this.commit({ op: 'insert', collection: 'linkRevisions', record: revision });
+    return link;
+  }
+
+  getLinkRevisions(linkId) {
+    this.refresh();
+    return this.linkRevisions.filter(revision => revision.linkId === linkId);
+  }
+
+  archiveLink(shortCode, reason) {
+    const link = this.findLinkByShortCode(shortCode);
+    if (link) {
+      return this.commit({
+        op: 'update',
+        collection: 'links',
+        id: link.id,
+        changes: { archivedAt: new Date().toISOString(), archiveReason: reason }
+      });
+    }
+    return null;
+  }
+
   deleteLink(shortCode) {
-    const index = this.links.findIndex(link => link.shortCode === shortCode);
-    if (index !== -1) {
-      return this.links.splice(index, 1)[0];
+    const link = this.findLinkByShortCode(shortCode);
+    if (link) {
+      return this.commit({ op: 'delete', collection: 'links', id: link.id });
     }
     return null;
   }
 
   // Analytics methods
-  logClick(shortCode) {
+  // context holds the request details from click-context.js (referrer,
+  // browser, os, device, language, country and anonymized ip)
+  logClick(shortCode, context = {}) {
+    this.refresh();
     const clickEvent = {
-      id: this.analytics.length + 1,
+      // Every redirector process logs clicks to the same log at once, so click
+      // ids must not depend on what this process has seen of it
+      id: crypto.randomUUID(),
       shortCode,
       timestamp: new Date().toISOString(),
-      userAgent: 'Unknown' // Could be enhanced with actual user agent
+      referrer: context.referrer || null,
+      referrerHost: context.referrerHost || null,
+      userAgent: context.userAgent || 'Unknown',
+      browser: context.browser || 'Unknown',
+      os: context.os || 'Unknown',
+      device: context.device || 'unknown',
+      language: context.language || null,
+      country: context.country || null,
+      ip: context.ip || null
     };
-    this.analytics.push(clickEvent);
-    
-    // Update click count for the link
-    const link = this.findLinkByShortCode(shortCode);
-    if (link) {
-      link.clicks++;
-    }
     
-    return clickEvent;
+    // Storing the event also updates the click count for the link
+    return this.commit({ op: 'insert', collection: 'analytics', record: clickEvent });
   }
 
   getAnalytics() {
+    this.refresh();
     return this.analytics;
   }
 
-  // Load tracking methods for autopilot
-  incrementLoad() {
-    this.loadCounter++;
-  }
-
-  getCurrentLoad() {
-    return this.loadCounter;
+  getClicksByShortCode(shortCode) {
+    this.refresh();
+    return this.analytics.filter(event => event.shortCode === shortCode);
   }
 
   // Cleanup method
   cleanup() {
-    if (this.loadResetInterval) {
-      clearInterval(this.loadResetInterval);
-    }
+    this.store.close();
   }
 }
 
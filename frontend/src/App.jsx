@@ -1,7 +1,17 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import './App.css'
 import Login from './components/Login'
 import Register from './components/Register'
+import LinkAnalytics from './components/LinkAnalytics'
+import ApiKeys from './components/ApiKeys'
+import BulkImport from './components/BulkImport'
+import QrCode from './components/QrCode'
+
+// Links fetched per page of the links list
+const LINKS_PAGE_SIZE = 20
+
+// Folder filter value for links that are not in a folder
+const NO_FOLDER = '__none__'
 
 function App() {
   // Authentication state
@@ -11,10 +21,30 @@ function App() {
   
   // App state
   const [longUrl, setLongUrl] = useState('')
+  const [alias, setAlias] = useState('')
+  const [aliasSuggestions, setAliasSuggestions] = useState([])
   const [links, setLinks] = useState([])
+  const [totalLinks, setTotalLinks] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null) // Set when more pages are available
+  const [facets, setFacets] = useState({ tags: [], folders: [] })
   const [loading, setLoading] = useState(false)
   const [message, setMessage] = useState('')
   const [error, setError] = useState('')
+  
+  // Edit mode state (one link card at a time)
+  const [editingCode, setEditingCode] = useState(null)
+  const [editForm, setEditForm] = useState({})
+  const [saving, setSaving] = useState(false)
+  
+  // Links list search, filters and sort order (sent to GET /api/links)
+  const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState({ q: '', tag: '', folder: '', sort: 'createdAt:desc' })
+  
+  // Link whose analytics dashboard is open (null shows the links list)
+  const [analyticsLink, setAnalyticsLink] = useState(null)
+  const [notice, setNotice] = useState(null) // Result of an email verification link
+  const [showImport, setShowImport] = useState(false)
+  const [qrLink, setQrLink] = useState(null) // Link whose QR code panel is open
 
   const API_BASE = 'http://localhost:3000'
 
@@ -23,19 +53,52 @@ function App() {
     const savedToken = localStorage.getItem('token')
     const savedUser = localStorage.getItem('user')
     
-    if (savedToken && savedUser) {
+    // A password reset link shows the login screen: resetting signs out every session
+    const isPasswordReset = new URLSearchParams(window.location.search).has('reset')
+    
+    if (savedToken && savedUser && !isPasswordReset) {
       setToken(savedToken)
       setUser(JSON.parse(savedUser))
     }
   }, [])
   
-  // Fetch links when user is authenticated
+  // Email verification links open the app with ?verify=<token>
   useEffect(() => {
-    if (user && token) {
-      fetchLinks()
+    const verifyToken = new URLSearchParams(window.location.search).get('verify')
+    if (!verifyToken) return
+    
+    // Drop the token from the address bar so it is not reused on reload
+    window.history.replaceState(null, '', window.location.pathname)
+    
+    const verifyEmail = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/auth/verify-email`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: verifyToken })
+        })
+        const data = await response.json()
+        
+        if (response.ok) {
+          setNotice({ type: 'success', text: 'Your email address has been verified.' })
+          
+          // Update the signed-in user if it is the account that was verified
+          const savedUser = JSON.parse(localStorage.getItem('user') || 'null')
+          if (savedUser && savedUser.id === data.user.id) {
+            localStorage.setItem('user', JSON.stringify(data.user))
+            setUser(data.user)
+          }
+        } else {
+          setNotice({ type: 'error', text: data.error || 'Email verification failed' })
+        }
+      } catch (error) {
+        setNotice({ type: 'error', text: 'Network error. Please check if the backend is running.' })
+        console.error('Error verifying email:', error)
+      }
     }
-  }, [user, token])
-
+    verifyEmail()
+  }, [])
+  
   // Authentication functions
   const handleLogin = (userData, userToken) => {
     setUser(userData)
@@ -47,38 +110,179 @@ function App() {
     setToken(userToken)
   }
   
-  const handleLogout = () => {
+  const handleLogout = useCallback(() => {
     localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
     localStorage.removeItem('user')
     setUser(null)
     setToken(null)
     setLinks([])
+    setAnalyticsLink(null)
+    setQrLink(null)
+  }, [])
+
+  // In-flight refresh request, shared so concurrent 401s refresh only once
+  const refreshRequest = useRef(null)
+
+  // Trade the stored refresh token for a new access token.
+  // Resolves to the new access token, or null if the session is over.
+  const refreshAccessToken = useCallback(() => {
+    if (!refreshRequest.current) {
+      refreshRequest.current = (async () => {
+        const refreshToken = localStorage.getItem('refreshToken')
+        if (!refreshToken) return null
+
+        const response = await fetch(`${API_BASE}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        })
+
+        if (!response.ok) {
+          // Another tab may have rotated the refresh token in the meantime
+          const latestToken = localStorage.getItem('refreshToken')
+          return latestToken && latestToken !== refreshToken
+            ? localStorage.getItem('token')
+            : null
+        }
+
+        const data = await response.json()
+        localStorage.setItem('token', data.token)
+        localStorage.setItem('refreshToken', data.refreshToken)
+        setToken(data.token)
+        return data.token
+      })()
+        .catch(() => null)
+        .finally(() => {
+          refreshRequest.current = null
+        })
+    }
+    return refreshRequest.current
+  }, [])
+
+  // fetch() for authenticated API calls: on a 401 the access token is
+  // refreshed silently and the request retried once before logging out
+  const authFetch = useCallback(async (path, options = {}) => {
+    const send = (accessToken) => fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers: {
+        ...options.headers,
+        'Authorization': `Bearer ${accessToken}`
+      }
+    })
+
+    let response = await send(localStorage.getItem('token'))
+    if (response.status === 401) {
+      const newToken = await refreshAccessToken()
+      if (!newToken) {
+        handleLogout()
+        return response
+      }
+      response = await send(newToken)
+    }
+    return response
+  }, [refreshAccessToken, handleLogout])
+
+  // Logout: revoke the session on the server, then clear local state
+  const logout = async () => {
+    try {
+      await authFetch('/api/auth/logout', { method: 'POST' })
+    } catch (error) {
+      console.error('Error revoking session:', error)
+    }
+    handleLogout()
   }
 
-  // Fetch user's links (requires authentication)
-  const fetchLinks = async () => {
-    if (!token) return
+  // Sign out every other device using this account
+  const signOutOtherDevices = async () => {
+    try {
+      const response = await authFetch('/api/auth/sessions', { method: 'DELETE' })
+      const data = await response.json()
+      if (response.ok) {
+        setMessage(`Signed out ${data.revoked} other device(s)`)
+        setTimeout(() => setMessage(''), 3000)
+      } else {
+        setError(data.error || 'Failed to sign out other devices')
+      }
+    } catch (error) {
+      setError('Network error. Please try again.')
+      console.error('Error signing out other devices:', error)
+    }
+  }
+
+  // Send another verification email
+  const resendVerification = async () => {
+    try {
+      const response = await authFetch('/api/auth/resend-verification', { method: 'POST' })
+      const data = await response.json()
+      if (response.ok) {
+        setMessage(`Verification email sent to ${user.email}`)
+        setTimeout(() => setMessage(''), 3000)
+      } else {
+        setError(data.error || 'Failed to send verification email')
+      }
+    } catch (error) {
+      setError('Network error. Please try again.')
+      console.error('Error resending verification:', error)
+    }
+  }
+
+  // Fetch user's links (requires authentication).
+  // Without a cursor the list is replaced; with one the next page is appended.
+  const fetchLinks = useCallback(async (cursor = null) => {
+    const [sort, order] = filters.sort.split(':')
+    const params = new URLSearchParams({ sort, order, limit: LINKS_PAGE_SIZE })
+    if (filters.q) params.set('q', filters.q)
+    if (filters.tag) params.set('tag', filters.tag)
+    if (filters.folder === NO_FOLDER) {
+      params.set('folder', '')
+    } else if (filters.folder) {
+      params.set('folder', filters.folder)
+    }
+    if (cursor) params.set('cursor', cursor)
     
     try {
-      const response = await fetch(`${API_BASE}/api/links`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      })
+      const response = await authFetch(`/api/links?${params}`)
       if (response.ok) {
         const data = await response.json()
-        setLinks(data.links || [])
-      } else if (response.status === 401) {
-        // Token expired or invalid
-        handleLogout()
+        setLinks((current) => cursor ? [...current, ...data.links] : data.links)
+        setTotalLinks(data.total)
+        setNextCursor(data.nextCursor)
+        setFacets(data.facets)
       } else {
         console.error('Failed to fetch links')
       }
     } catch (error) {
       console.error('Error fetching links:', error)
     }
+  }, [authFetch, filters])
+
+  // Fetch links when user is authenticated or the filters change
+  useEffect(() => {
+    if (user) {
+      fetchLinks()
+    }
+  }, [user, fetchLinks])
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((current) => current.q === searchInput.trim() ? current : { ...current, q: searchInput.trim() })
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [searchInput])
+
+  const updateFilter = (field, value) => {
+    setFilters((current) => ({ ...current, [field]: value }))
+  }
+
+  const clearFilters = () => {
+    setSearchInput('')
+    setFilters({ q: '', tag: '', folder: '', sort: filters.sort })
   }
 
+  const hasFilters = Boolean(filters.q || filters.tag || filters.folder)
+
   // Create a new short link (requires authentication)
   const createShortLink = async (e) => {
     e.preventDefault()
@@ -96,15 +300,20 @@ function App() {
     setLoading(true)
     setError('')
     setMessage('')
+    setAliasSuggestions([])
 
     try {
-      const response = await fetch(`${API_BASE}/api/links`, {
+      const body = { longUrl: longUrl.trim() }
+      if (alias.trim()) {
+        body.alias = alias.trim()
+      }
+
+      const response = await authFetch('/api/links', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ longUrl: longUrl.trim() })
+        body: JSON.stringify(body)
       })
 
       const data = await response.json()
@@ -112,12 +321,13 @@ function App() {
       if (response.ok) {
         setMessage(`Short URL created: ${data.shortUrl}`)
         setLongUrl('')
+        setAlias('')
         // Refresh the links list
         fetchLinks()
-      } else if (response.status === 401) {
-        // Token expired or invalid
-        handleLogout()
-        setError('Session expired. Please log in again.')
+      } else if (response.status === 409) {
+        // Alias is taken: offer the available alternatives
+        setError(data.error || 'Alias is already taken')
+        setAliasSuggestions(data.suggestions || [])
       } else {
         setError(data.error || 'Failed to create short URL')
       }
@@ -134,19 +344,15 @@ function App() {
     if (!token) return
     
     try {
-      const response = await fetch(`${API_BASE}/api/links/${shortCode}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
+      const response = await authFetch(`/api/links/${shortCode}`, {
+        method: 'DELETE'
       })
       
       if (response.ok) {
         setMessage('Link deleted successfully')
+        setQrLink((current) => (current?.shortCode === shortCode ? null : current))
         fetchLinks() // Refresh the list
         setTimeout(() => setMessage(''), 3000)
-      } else if (response.status === 401) {
-        handleLogout()
       } else {
         const data = await response.json()
         setError(data.error || 'Failed to delete link')
@@ -157,6 +363,94 @@ function App() {
     }
   }
 
+  // Edit form values for a link, as shown when editing starts
+  const toEditForm = (link) => ({
+    longUrl: link.longUrl,
+    alias: link.shortCode,
+    title: link.title || '',
+    description: link.description || '',
+    tags: (link.tags || []).join(', '),
+    folder: link.folder || '',
+    expiresAt: toDateTimeInput(link.expiresAt),
+    maxClicks: link.maxClicks || '',
+    interstitial: Boolean(link.interstitial)
+  })
+
+  // Start editing a link card
+  const startEditing = (link) => {
+    setEditingCode(link.shortCode)
+    setEditForm(toEditForm(link))
+    setError('')
+  }
+
+  const cancelEditing = () => {
+    setEditingCode(null)
+    setEditForm({})
+  }
+
+  const updateEditField = (field, value) => {
+    setEditForm((form) => ({ ...form, [field]: value }))
+  }
+
+  // Save changes to a link
+  const saveLink = async (e, link) => {
+    e.preventDefault()
+    if (!token) return
+
+    // Only send the fields that were changed, so values the server would no
+    // longer accept (such as the past expiry date of an expired link) are
+    // left alone when other fields are edited
+    const original = toEditForm(link)
+    const changed = Object.keys(editForm).filter((field) => editForm[field] !== original[field])
+    if (changed.length === 0) {
+      cancelEditing()
+      return
+    }
+
+    const values = {
+      longUrl: editForm.longUrl.trim(),
+      alias: editForm.alias.trim(),
+      title: editForm.title,
+      description: editForm.description,
+      tags: editForm.tags,
+      folder: editForm.folder,
+      expiresAt: editForm.expiresAt ? new Date(editForm.expiresAt).toISOString() : null,
+      maxClicks: editForm.maxClicks === '' ? null : Number(editForm.maxClicks),
+      interstitial: editForm.interstitial
+    }
+
+    setSaving(true)
+    setError('')
+
+    try {
+      const response = await authFetch(`/api/links/${link.shortCode}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(Object.fromEntries(changed.map((field) => [field, values[field]])))
+      })
+
+      const data = await response.json()
+
+      if (response.ok) {
+        setMessage('Link updated successfully')
+        cancelEditing()
+        fetchLinks()
+        setTimeout(() => setMessage(''), 3000)
+      } else if (response.status === 409 && data.suggestions?.length) {
+        setError(`${data.error}. Try: ${data.suggestions.join(', ')}`)
+      } else {
+        setError(data.error || 'Failed to update link')
+      }
+    } catch (error) {
+      setError('Network error. Please try again.')
+      console.error('Error updating link:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
   // Copy short URL to clipboard
   const copyToClipboard = async (shortUrl) => {
     try {
@@ -173,6 +467,14 @@ function App() {
     return new Date(dateString).toLocaleString()
   }
 
+  // Convert an ISO date to the local value expected by datetime-local inputs
+  const toDateTimeInput = (dateString) => {
+    if (!dateString) return ''
+    const date = new Date(dateString)
+    const offset = date.getTimezoneOffset() * 60000
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16)
+  }
+
   // Show authentication screen if user is not logged in
   if (!user || !token) {
     return (
@@ -186,6 +488,7 @@ function App() {
           <Login 
             onLogin={handleLogin}
             onSwitchToRegister={() => setAuthView('register')}
+            notice={notice}
           />
         ) : (
           <Register 
@@ -207,7 +510,10 @@ function App() {
           </div>
           <div className="user-info">
             <span>Welcome, {user.email}!</span>
-            <button onClick={handleLogout} className="logout-btn">
+            <button onClick={signOutOtherDevices} className="devices-btn">
+              Sign out other devices
+            </button>
+            <button onClick={logout} className="logout-btn">
               Logout
             </button>
           </div>
@@ -215,9 +521,23 @@ function App() {
       </header>
 
       <main className="app-main">
+        {notice && <div className={`message ${notice.type}`}>{notice.text}</div>}
+        
+        {!user.emailVerifiedAt && (
+          <div className="verify-banner">
+            <span>📧 Please verify your email address. We sent a link to {user.email}.</span>
+            <button onClick={resendVerification}>Resend email</button>
+          </div>
+        )}
+        
         {/* URL Creation Form */}
         <section className="create-section">
-          <h2>Create Short URL</h2>
+          <div className="create-header">
+            <h2>Create Short URL</h2>
+            <button onClick={() => setShowImport(true)} className="cancel-btn">
+              📥 Import CSV
+            </button>
+          </div>
           <form onSubmit={createShortLink} className="url-form">
             <div className="form-group">
               <input
@@ -236,80 +556,356 @@ function App() {
                 {loading ? 'Creating...' : 'Shorten URL'}
               </button>
             </div>
+            <div className="alias-group">
+              <span className="alias-prefix">{API_BASE}/</span>
+              <input
+                type="text"
+                value={alias}
+                onChange={(e) => setAlias(e.target.value)}
+                placeholder="custom-alias (optional)"
+                className="alias-input"
+                pattern="[A-Za-z0-9_\-]{3,32}"
+                title="3-32 letters, numbers, hyphens or underscores"
+              />
+            </div>
           </form>
 
+          {/* Alternatives when the requested alias is taken */}
+          {aliasSuggestions.length > 0 && (
+            <div className="alias-suggestions">
+              <span>Try one of these instead:</span>
+              {aliasSuggestions.map((suggestion) => (
+                <button
+                  key={suggestion}
+                  type="button"
+                  onClick={() => {
+                    setAlias(suggestion)
+                    setAliasSuggestions([])
+                    setError('')
+                  }}
+                  className="suggestion-btn"
+                >
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Messages */}
           {message && <div className="message success">{message}</div>}
           {error && <div className="message error">{error}</div>}
         </section>
 
+        {/* CSV import wizard */}
+        {showImport && (
+          <BulkImport
+            authFetch={authFetch}
+            onClose={() => setShowImport(false)}
+            onImported={fetchLinks}
+          />
+        )}
+
+        {/* QR code preview and downloads */}
+        {qrLink && !analyticsLink && (
+          <QrCode
+            key={qrLink.shortCode}
+            link={qrLink}
+            authFetch={authFetch}
+            onClose={() => setQrLink(null)}
+          />
+        )}
+
+        {/* Per-link analytics dashboard */}
+        {analyticsLink && (
+          <LinkAnalytics
+            link={analyticsLink}
+            authFetch={authFetch}
+            onClose={() => setAnalyticsLink(null)}
+          />
+        )}
+
         {/* Links List */}
-        <section className="links-section">
-          <h2>Your Short Links ({links.length})</h2>
-          
-          {links.length === 0 ? (
-            <div className="empty-state">
-              <p>No short links created yet. Create your first one above!</p>
+        {!analyticsLink && (
+          <section className="links-section">
+            <h2>Your Short Links ({totalLinks})</h2>
+
+            {/* Search, filters and sort order */}
+            <div className="link-filters">
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search destination, alias or title"
+                className="edit-input link-search"
+              />
+              <select
+                value={filters.tag}
+                onChange={(e) => updateFilter('tag', e.target.value)}
+                className="edit-input"
+                aria-label="Filter by tag"
+              >
+                <option value="">All tags</option>
+                {facets.tags.map(({ tag, count }) => (
+                  <option key={tag} value={tag}>#{tag} ({count})</option>
+                ))}
+              </select>
+              <select
+                value={filters.folder}
+                onChange={(e) => updateFilter('folder', e.target.value)}
+                className="edit-input"
+                aria-label="Filter by folder"
+              >
+                <option value="">All folders</option>
+                <option value={NO_FOLDER}>No folder</option>
+                {facets.folders.map(({ folder, count }) => (
+                  <option key={folder} value={folder}>📁 {folder} ({count})</option>
+                ))}
+              </select>
+              <select
+                value={filters.sort}
+                onChange={(e) => updateFilter('sort', e.target.value)}
+                className="edit-input"
+                aria-label="Sort links"
+              >
+                <option value="createdAt:desc">Newest first</option>
+                <option value="createdAt:asc">Oldest first</option>
+                <option value="clicks:desc">Most clicks</option>
+                <option value="clicks:asc">Fewest clicks</option>
+              </select>
+              {hasFilters && (
+                <button onClick={clearFilters} className="cancel-btn">Clear</button>
+              )}
             </div>
-          ) : (
-            <div className="links-grid">
-              {links.map((link) => {
-                const shortUrl = `${API_BASE}/${link.shortCode}`
-                return (
-                  <div key={link.id} className="link-card">
-                    <div className="link-info">
-                      <div className="short-url">
-                        <strong>Short URL:</strong>
-                        <a 
-                          href={shortUrl} 
-                          target="_blank" 
-                          rel="noopener noreferrer"
-                          className="short-link"
-                        >
-                          {shortUrl}
-                        </a>
-                        <button 
-                          onClick={() => copyToClipboard(shortUrl)}
-                          className="copy-btn"
-                          title="Copy to clipboard"
-                        >
-                          📋
-                        </button>
+
+            {/* Folder suggestions for the edit form */}
+            <datalist id="folder-options">
+              {facets.folders.map(({ folder }) => <option key={folder} value={folder} />)}
+            </datalist>
+          
+            {links.length === 0 ? (
+              <div className="empty-state">
+                <p>
+                  {hasFilters
+                    ? 'No links match these filters.'
+                    : 'No short links created yet. Create your first one above!'}
+                </p>
+              </div>
+            ) : (
+              <div className="links-grid">
+                {links.map((link) => {
+                  const shortUrl = `${API_BASE}/${link.shortCode}`
+
+                  if (editingCode === link.shortCode) {
+                    return (
+                      <div key={link.id} className="link-card editing">
+                        <form onSubmit={(e) => saveLink(e, link)} className="edit-form">
+                          <label>
+                            Destination URL
+                            <input
+                              type="url"
+                              value={editForm.longUrl}
+                              onChange={(e) => updateEditField('longUrl', e.target.value)}
+                              className="edit-input"
+                              required
+                            />
+                          </label>
+                          <label>
+                            Alias
+                            <input
+                              type="text"
+                              value={editForm.alias}
+                              onChange={(e) => updateEditField('alias', e.target.value)}
+                              className="edit-input"
+                              required
+                            />
+                          </label>
+                          <label>
+                            Title
+                            <input
+                              type="text"
+                              value={editForm.title}
+                              onChange={(e) => updateEditField('title', e.target.value)}
+                              className="edit-input"
+                              maxLength={200}
+                            />
+                          </label>
+                          <label>
+                            Description
+                            <textarea
+                              value={editForm.description}
+                              onChange={(e) => updateEditField('description', e.target.value)}
+                              className="edit-input"
+                              maxLength={1000}
+                              rows={2}
+                            />
+                          </label>
+                          <div className="edit-row">
+                            <label>
+                              Tags
+                              <input
+                                type="text"
+                                value={editForm.tags}
+                                onChange={(e) => updateEditField('tags', e.target.value)}
+                                className="edit-input"
+                                placeholder="promo, spring"
+                              />
+                            </label>
+                            <label>
+                              Folder
+                              <input
+                                type="text"
+                                value={editForm.folder}
+                                onChange={(e) => updateEditField('folder', e.target.value)}
+                                className="edit-input"
+                                list="folder-options"
+                                maxLength={50}
+                              />
+                            </label>
+                          </div>
+                          <div className="edit-row">
+                            <label>
+                              Expires at
+                              <input
+                                type="datetime-local"
+                                value={editForm.expiresAt}
+                                onChange={(e) => updateEditField('expiresAt', e.target.value)}
+                                className="edit-input"
+                              />
+                            </label>
+                            <label>
+                              Max clicks
+                              <input
+                                type="number"
+                                min="1"
+                                value={editForm.maxClicks}
+                                onChange={(e) => updateEditField('maxClicks', e.target.value)}
+                                className="edit-input"
+                              />
+                            </label>
+                          </div>
+                          <label className="edit-checkbox">
+                            <input
+                              type="checkbox"
+                              checked={editForm.interstitial}
+                              onChange={(e) => updateEditField('interstitial', e.target.checked)}
+                            />
+                            Show a preview page before redirecting
+                          </label>
+                          <div className="link-actions">
+                            <button type="button" onClick={cancelEditing} className="cancel-btn">
+                              Cancel
+                            </button>
+                            <button type="submit" disabled={saving} className="save-btn">
+                              {saving ? 'Saving...' : 'Save'}
+                            </button>
+                          </div>
+                        </form>
                       </div>
+                    )
+                  }
+
+                  return (
+                    <div key={link.id} className="link-card">
+                      <div className="link-info">
+                        {link.title && <div className="link-title">{link.title}</div>}
+                        {(link.folder || link.tags?.length > 0) && (
+                          <div className="link-tags">
+                            {link.folder && (
+                              <button onClick={() => updateFilter('folder', link.folder)} className="tag folder" title="Show this folder">
+                                📁 {link.folder}
+                              </button>
+                            )}
+                            {link.tags?.map((tag) => (
+                              <button key={tag} onClick={() => updateFilter('tag', tag)} className="tag" title="Filter by this tag">
+                                #{tag}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+
+                        <div className="short-url">
+                          <strong>Short URL:</strong>
+                          <a 
+                            href={shortUrl} 
+                            target="_blank" 
+                            rel="noopener noreferrer"
+                            className="short-link"
+                          >
+                            {shortUrl}
+                          </a>
+                          <button 
+                            onClick={() => copyToClipboard(shortUrl)}
+                            className="copy-btn"
+                            title="Copy to clipboard"
+                          >
+                            📋
+                          </button>
+                        </div>
                       
-                      <div className="long-url">
-                        <strong>Original URL:</strong>
-                        <a 
-                          href={link.longUrl} 
-                          target="_blank" 
-                          rel="noopener noreferrer"
-                          className="long-link"
-                        >
-                          {link.longUrl}
-                        </a>
-                      </div>
+                        <div className="long-url">
+                          <strong>Original URL:</strong>
+                          <a 
+                            href={link.longUrl} 
+                            target="_blank" 
+                            rel="noopener noreferrer"
+                            className="long-link"
+                          >
+                            {link.longUrl}
+                          </a>
+                        </div>
                       
-                      <div className="link-meta">
-                        <span className="clicks">👆 {link.clicks} clicks</span>
-                        <span className="created">📅 {formatDate(link.createdAt)}</span>
-                      </div>
+                        <div className="link-meta">
+                          <button
+                            onClick={() => setAnalyticsLink(link)}
+                            className="clicks analytics-btn"
+                            title="View analytics"
+                          >
+                            👆 {link.clicks} clicks · 📊
+                          </button>
+                          {link.interstitial && <span className="created" title="Visitors see a preview page first">🔍 Preview page</span>}
+                          <span className="created">📅 {formatDate(link.createdAt)}</span>
+                        </div>
                       
-                      <div className="link-actions">
-                        <button 
-                          onClick={() => deleteLink(link.shortCode)}
-                          className="delete-btn"
-                          title="Delete link"
-                        >
-                          🗑️
-                        </button>
+                        <div className="link-actions">
+                          <button
+                            onClick={() => setQrLink(link)}
+                            className="edit-btn"
+                            title="QR code"
+                          >
+                            📱
+                          </button>
+                          <button
+                            onClick={() => startEditing(link)}
+                            className="edit-btn"
+                            title="Edit link"
+                          >
+                            ✏️
+                          </button>
+                          <button 
+                            onClick={() => deleteLink(link.shortCode)}
+                            className="delete-btn"
+                            title="Delete link"
+                          >
+                            🗑️
+                          </button>
+                        </div>
                       </div>
                     </div>
-                  </div>
-                )
-              })}
-            </div>
-          )}
-        </section>
+                  )
+                })}
+              </div>
+            )}
+
+            {nextCursor && (
+              <button onClick={() => fetchLinks(nextCursor)} className="cancel-btn load-more-btn">
+                Load more ({totalLinks - links.length} remaining)
+              </button>
+            )}
+          </section>
+        )}
+
+        {/* Personal API keys for scripts */}
+        {!analyticsLink && <ApiKeys authFetch={authFetch} />}
 
         {/* System Status */}
         <section className="status-section">
@@ -317,7 +913,7 @@ function App() {
           <div className="status-info">
             <p><strong>Backend:</strong> http://localhost:3000</p>
             <p><strong>Autopilot:</strong> Monitors load and scales automatically</p>
-            <p><strong>Microservice:</strong> Starts at http://localhost:3001 when load &gt; 20</p>
+            <p><strong>Microservice:</strong> Redirector workers start from http://localhost:3001, one more for each confirmed rise in load; the monolith balances redirects over them</p>
           </div>
         </section>
       </main>
@@ -0,0 +1,168 @@
+import { useState, useEffect, useCallback } from 'react'
+
+const formatDate = (dateString) => {
+  return dateString ? new Date(dateString).toLocaleString() : 'Never'
+}
+
+function ApiKeys({ authFetch }) {
+  const [apiKeys, setApiKeys] = useState([])
+  const [scopes, setScopes] = useState({})
+  const [name, setName] = useState('')
+  const [selectedScopes, setSelectedScopes] = useState(['create', 'read'])
+  const [newKey, setNewKey] = useState(null) // Only shown once, right after creation
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const response = await authFetch('/api/keys')
+      const data = await response.json()
+      if (response.ok) {
+        setApiKeys(data.apiKeys)
+        setScopes(data.scopes)
+      } else {
+        setError(data.error || 'Failed to load API keys')
+      }
+    } catch (error) {
+      setError('Network error. Please check if the backend is running.')
+      console.error('Error fetching API keys:', error)
+    }
+  }, [authFetch])
+
+  useEffect(() => {
+    fetchApiKeys()
+  }, [fetchApiKeys])
+
+  const toggleScope = (scope) => {
+    setSelectedScopes((current) => current.includes(scope)
+      ? current.filter((s) => s !== scope)
+      : [...current, scope])
+  }
+
+  const createApiKey = async (e) => {
+    e.preventDefault()
+
+    if (!name.trim()) {
+      setError('Please give the key a name')
+      return
+    }
+    if (selectedScopes.length === 0) {
+      setError('Select at least one scope')
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await authFetch('/api/keys', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name: name.trim(), scopes: selectedScopes })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setNewKey(data.key)
+        setName('')
+        fetchApiKeys()
+      } else {
+        setError(data.error || 'Failed to create API key')
+      }
+    } catch (error) {
+      setError('Network error. Please check if the backend is running.')
+      console.error('Error creating API key:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const revokeApiKey = async (apiKey) => {
+    if (!confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) return
+
+    try {
+      const response = await authFetch(`/api/keys/${apiKey.id}`, { method: 'DELETE' })
+      if (response.ok) {
+        setApiKeys((current) => current.filter((k) => k.id !== apiKey.id))
+      } else {
+        const data = await response.json()
+        setError(data.error || 'Failed to revoke API key')
+      }
+    } catch (error) {
+      setError('Network error. Please check if the backend is running.')
+      console.error('Error revoking API key:', error)
+    }
+  }
+
+  return (
+    <section className="api-keys-section">
+      <h2>🔑 API Keys</h2>
+      <p className="api-keys-hint">
+        Use a key from scripts with <code>Authorization: Bearer &lt;key&gt;</code>.
+      </p>
+
+      <form onSubmit={createApiKey} className="api-key-form">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Key name (e.g. load-test script)"
+          className="edit-input"
+          maxLength={100}
+        />
+        <div className="scope-options">
+          {Object.entries(scopes).map(([scope, description]) => (
+            <label key={scope} title={description}>
+              <input
+                type="checkbox"
+                checked={selectedScopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />
+              {scope}
+            </label>
+          ))}
+        </div>
+        <button type="submit" disabled={loading} className="save-btn">
+          {loading ? 'Creating...' : 'Create key'}
+        </button>
+      </form>
+
+      {newKey && (
+        <div className="new-api-key">
+          <p>Copy your new key now. It will not be shown again.</p>
+          <code>{newKey}</code>
+          <button onClick={() => navigator.clipboard.writeText(newKey)} className="copy-btn" title="Copy to clipboard">
+            📋
+          </button>
+          <button onClick={() => setNewKey(null)} className="cancel-btn">Done</button>
+        </div>
+      )}
+
+      {error && <div className="message error">{error}</div>}
+
+      {apiKeys.length === 0 ? (
+        <p className="api-keys-empty">No API keys yet.</p>
+      ) : (
+        <ul className="api-key-list">
+          {apiKeys.map((apiKey) => (
+            <li key={apiKey.id}>
+              <div>
+                <strong>{apiKey.name}</strong> <code>{apiKey.hint}</code>
+                <div className="api-key-meta">
+                  {apiKey.scopes.join(', ')} · Created {formatDate(apiKey.createdAt)} · Last used {formatDate(apiKey.lastUsedAt)}
+                </div>
+              </div>
+              <button onClick={() => revokeApiKey(apiKey)} className="delete-btn" title="Revoke key">
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default ApiKeys
@@ -0,0 +1,172 @@
+import { useState } from 'react'
+
+const SAMPLE_CSV = 'url,alias,tags,expiry\nhttps://example.com/spring-sale,spring-sale,"promo,spring",2030-06-30\nhttps://example.com/newsletter,,newsletter,'
+
+// Import wizard: choose a CSV file, preview which rows are valid, then import
+function BulkImport({ authFetch, onClose, onImported }) {
+  const [step, setStep] = useState('upload') // 'upload', 'preview' or 'done'
+  const [csv, setCsv] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const readFile = (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      setCsv(reader.result)
+      setFileName(file.name)
+    }
+    reader.readAsText(file)
+  }
+
+  // Send the CSV to the bulk endpoint, optionally without creating anything
+  const submit = async (dryRun) => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await authFetch(`/api/links/bulk${dryRun ? '?dryRun=true' : ''}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/csv'
+        },
+        body: csv
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        setError(data.error || 'Import failed')
+      } else if (dryRun) {
+        setPreview(data)
+        setStep('preview')
+      } else {
+        setResult(data)
+        setStep('done')
+        onImported()
+      }
+    } catch (error) {
+      setError('Network error. Please check if the backend is running.')
+      console.error('Error importing links:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const reset = () => {
+    setStep('upload')
+    setCsv('')
+    setFileName('')
+    setPreview(null)
+    setResult(null)
+    setError('')
+  }
+
+  return (
+    <section className="import-section">
+      <div className="analytics-header">
+        <h2>📥 Import links from CSV</h2>
+        <button onClick={onClose} className="cancel-btn">Close</button>
+      </div>
+
+      <ol className="import-steps">
+        <li className={step === 'upload' ? 'current' : ''}>Upload</li>
+        <li className={step === 'preview' ? 'current' : ''}>Preview</li>
+        <li className={step === 'done' ? 'current' : ''}>Import</li>
+      </ol>
+
+      {step === 'upload' && (
+        <>
+          <p className="import-hint">
+            Columns: <code>url</code> (required), <code>alias</code>, <code>tags</code>,{' '}
+            <code>expiry</code>, <code>maxClicks</code>, <code>title</code>, <code>description</code>.
+            Up to 500 rows per import.
+          </p>
+          <input type="file" accept=".csv,text/csv" onChange={readFile} />
+          <textarea
+            value={csv}
+            onChange={(e) => {
+              setCsv(e.target.value)
+              setFileName('')
+            }}
+            placeholder={SAMPLE_CSV}
+            className="edit-input import-textarea"
+            rows={6}
+          />
+          <div className="import-actions">
+            <button onClick={() => submit(true)} disabled={loading || !csv.trim()} className="save-btn">
+              {loading ? 'Checking...' : 'Preview'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === 'preview' && preview && (
+        <>
+          <p className="import-summary">
+            {fileName && <strong>{fileName}: </strong>}
+            {preview.succeeded} of {preview.total} rows are ready to import
+            {preview.failed > 0 && `, ${preview.failed} will be skipped`}.
+          </p>
+          <ImportResults results={preview.results} />
+          <div className="import-actions">
+            <button onClick={() => submit(false)} disabled={loading || preview.succeeded === 0} className="save-btn">
+              {loading ? 'Importing...' : `Import ${preview.succeeded} links`}
+            </button>
+            <button onClick={() => setStep('upload')} disabled={loading} className="cancel-btn">
+              Back
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === 'done' && result && (
+        <>
+          <p className="import-summary">
+            Imported {result.succeeded} links{result.failed > 0 && `, ${result.failed} rows failed`}.
+          </p>
+          <ImportResults results={result.results} />
+          <div className="import-actions">
+            <button onClick={reset} className="save-btn">Import another file</button>
+          </div>
+        </>
+      )}
+
+      {error && <div className="message error">{error}</div>}
+    </section>
+  )
+}
+
+function ImportResults({ results }) {
+  return (
+    <table className="import-table">
+      <thead>
+        <tr>
+          <th>Row</th>
+          <th>URL</th>
+          <th>Short code</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {results.map((result) => (
+          <tr key={result.row} className={result.ok ? '' : 'import-row-error'}>
+            <td>{result.row}</td>
+            <td className="import-url">{result.link?.longUrl || result.longUrl || '—'}</td>
+            <td>{result.link?.shortCode || result.shortCode || (result.ok ? '(generated)' : '—')}</td>
+            <td>
+              {result.ok ? '✅' : `❌ ${result.error}`}
+              {result.suggestions?.length > 0 && ` (try ${result.suggestions.join(', ')})`}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+export default BulkImport
@@ -0,0 +1,286 @@
+import { useState, useEffect, useCallback } from 'react'
+
+// Date range presets: how far back to look and which bucket size to use
+const RANGES = {
+  '24h': { label: 'Last 24 hours', hours: 24, interval: 'hour' },
+  '7d': { label: 'Last 7 days', hours: 24 * 7, interval: 'day' },
+  '30d': { label: 'Last 30 days', hours: 24 * 30, interval: 'day' },
+  '90d': { label: 'Last 90 days', hours: 24 * 90, interval: 'week' },
+  custom: { label: 'Custom range' }
+}
+
+// Format a bucket start for the chart axis and tooltips
+const formatBucket = (bucket, interval) => {
+  const date = new Date(bucket)
+  if (interval === 'hour') {
+    return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' })
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+}
+
+// Spreadsheets run cells starting with one of these as formulas (same rule
+// as the server's export in data-export.js)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+// Quote a value for CSV output. Text that a spreadsheet would read as a
+// formula (referrers come from visitors) is prefixed with ' to keep it text.
+const csvValue = (value) => {
+  let text = String(value ?? '')
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// How long the CSV's object URL is kept after the download starts; browsers
+// read it asynchronously, so revoking it straight away can cancel the download
+const DOWNLOAD_URL_LIFETIME = 60 * 1000
+
+function ClicksChart({ timeseries, interval }) {
+  if (timeseries.length === 0) {
+    return <div className="empty-state"><p>No data for this range.</p></div>
+  }
+
+  const width = 720
+  const height = 220
+  const padding = { top: 10, right: 10, bottom: 30, left: 40 }
+  const chartWidth = width - padding.left - padding.right
+  const chartHeight = height - padding.top - padding.bottom
+  const max = Math.max(1, ...timeseries.map((point) => point.clicks))
+  const barWidth = chartWidth / timeseries.length
+
+  // Show at most ~8 axis labels
+  const labelEvery = Math.ceil(timeseries.length / 8)
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="clicks-chart" role="img" aria-label="Clicks over time">
+      <line
+        x1={padding.left}
+        y1={padding.top + chartHeight}
+        x2={width - padding.right}
+        y2={padding.top + chartHeight}
+        className="chart-axis"
+      />
+      <text x={padding.left - 6} y={padding.top + 10} className="chart-label" textAnchor="end">{max}</text>
+      <text x={padding.left - 6} y={padding.top + chartHeight} className="chart-label" textAnchor="end">0</text>
+
+      {timeseries.map((point, index) => {
+        const barHeight = (point.clicks / max) * chartHeight
+        const x = padding.left + index * barWidth
+        return (
+          <g key={point.bucket}>
+            <rect
+              x={x + barWidth * 0.1}
+              y={padding.top + chartHeight - barHeight}
+              width={Math.max(barWidth * 0.8, 1)}
+              height={barHeight}
+              className="chart-bar"
+            >
+              <title>{`${formatBucket(point.bucket, interval)}: ${point.clicks} clicks`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text
+                x={x + barWidth / 2}
+                y={height - 10}
+                className="chart-label"
+                textAnchor="middle"
+              >
+                {formatBucket(point.bucket, interval)}
+              </text>
+            )}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+function Breakdown({ title, items, field }) {
+  const max = Math.max(1, ...items.map((item) => item.clicks))
+
+  return (
+    <div className="breakdown">
+      <h4>{title}</h4>
+      {items.length === 0 ? (
+        <p className="breakdown-empty">No clicks yet</p>
+      ) : (
+        <ul>
+          {items.map((item) => (
+            <li key={item[field]}>
+              <span className="breakdown-name">{item[field]}</span>
+              <span className="breakdown-bar">
+                <span style={{ width: `${(item.clicks / max) * 100}%` }} />
+              </span>
+              <span className="breakdown-count">{item.clicks}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function LinkAnalytics({ link, authFetch, onClose }) {
+  const [range, setRange] = useState('7d')
+  const [customFrom, setCustomFrom] = useState('')
+  const [customTo, setCustomTo] = useState('')
+  const [customInterval, setCustomInterval] = useState('day')
+  const [analytics, setAnalytics] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchAnalytics = useCallback(async () => {
+    const params = new URLSearchParams()
+
+    if (range === 'custom') {
+      if (!customFrom || !customTo) return
+      params.set('from', new Date(customFrom).toISOString())
+      // Include the whole end day
+      params.set('to', new Date(`${customTo}T23:59:59.999`).toISOString())
+      params.set('interval', customInterval)
+    } else {
+      const preset = RANGES[range]
+      params.set('from', new Date(Date.now() - preset.hours * 60 * 60 * 1000).toISOString())
+      params.set('interval', preset.interval)
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await authFetch(`/api/links/${link.shortCode}/analytics?${params}`)
+      const data = await response.json()
+
+      if (response.ok) {
+        setAnalytics(data)
+      } else {
+        setError(data.error || 'Failed to load analytics')
+      }
+    } catch (error) {
+      setError('Network error. Please check if the backend is running.')
+      console.error('Error fetching analytics:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [link.shortCode, authFetch, range, customFrom, customTo, customInterval])
+
+  useEffect(() => {
+    fetchAnalytics()
+  }, [fetchAnalytics])
+
+  // Download the time series and breakdowns as a CSV file
+  const downloadCsv = () => {
+    if (!analytics) return
+
+    const rows = [['section', 'key', 'clicks']]
+    for (const point of analytics.timeseries) {
+      rows.push(['timeseries', point.bucket, point.clicks])
+    }
+    for (const item of analytics.topReferrers) {
+      rows.push(['referrer', item.referrerHost, item.clicks])
+    }
+    for (const item of analytics.topDevices) {
+      rows.push(['device', item.device, item.clicks])
+    }
+    for (const item of analytics.topBrowsers) {
+      rows.push(['browser', item.browser, item.clicks])
+    }
+    for (const item of analytics.topCountries) {
+      rows.push(['country', item.country, item.clicks])
+    }
+
+    const csv = rows.map((row) => row.map(csvValue).join(',')).join('\n')
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }))
+    const anchor = document.createElement('a')
+    anchor.href = url
+    anchor.download = `${link.shortCode}-analytics.csv`
+    anchor.click()
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME)
+  }
+
+  return (
+    <section className="analytics-section">
+      <div className="analytics-header">
+        <div>
+          <h2>📊 Analytics for /{link.shortCode}</h2>
+          <p className="analytics-destination">{link.title || link.longUrl}</p>
+        </div>
+        <button onClick={onClose} className="cancel-btn">← Back to links</button>
+      </div>
+
+      <div className="analytics-controls">
+        <select value={range} onChange={(e) => setRange(e.target.value)} className="edit-input">
+          {Object.entries(RANGES).map(([key, preset]) => (
+            <option key={key} value={key}>{preset.label}</option>
+          ))}
+        </select>
+
+        {range === 'custom' && (
+          <>
+            <input
+              type="date"
+              value={customFrom}
+              onChange={(e) => setCustomFrom(e.target.value)}
+              className="edit-input"
+              aria-label="From date"
+            />
+            <input
+              type="date"
+              value={customTo}
+              onChange={(e) => setCustomTo(e.target.value)}
+              className="edit-input"
+              aria-label="To date"
+            />
+            <select
+              value={customInterval}
+              onChange={(e) => setCustomInterval(e.target.value)}
+              className="edit-input"
+              aria-label="Interval"
+            >
+              <option value="hour">Hourly</option>
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+            </select>
+          </>
+        )}
+
+        <button onClick={downloadCsv} disabled={!analytics} className="save-btn">
+          ⬇️ Download CSV
+        </button>
+      </div>
+
+      {error && <div className="message error">{error}</div>}
+      {loading && !analytics && <p className="analytics-loading">Loading analytics...</p>}
+
+      {analytics && (
+        <>
+          <div className="analytics-stats">
+            <div className="stat">
+              <span className="stat-value">{analytics.totalClicks}</span>
+              <span className="stat-label">Clicks in range</span>
+            </div>
+            <div className="stat">
+              <span className="stat-value">{analytics.uniqueVisitors}</span>
+              <span className="stat-label">Unique visitors (est.)</span>
+            </div>
+            <div className="stat">
+              <span className="stat-value">{link.clicks}</span>
+              <span className="stat-label">All-time clicks</span>
+            </div>
+          </div>
+
+          <ClicksChart timeseries={analytics.timeseries} interval={analytics.interval} />
+
+          <div className="breakdowns">
+            <Breakdown title="Top referrers" items={analytics.topReferrers} field="referrerHost" />
+            <Breakdown title="Devices" items={analytics.topDevices} field="device" />
+            <Breakdown title="Browsers" items={analytics.topBrowsers} field="browser" />
+            <Breakdown title="Countries" items={analytics.topCountries} field="country" />
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default LinkAnalytics
@@ -1,13 +1,106 @@
 import { useState } from 'react'
 
-function Login({ onLogin, onSwitchToRegister }) {
+function Login({ onLogin, onSwitchToRegister, notice }) {
+  // Password reset links open the app with ?reset=<token>
+  const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('reset'))
+  const [mode, setMode] = useState(resetToken ? 'reset' : 'login') // 'login', 'forgot' or 'reset'
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [info, setInfo] = useState('')
 
   const API_BASE = 'http://localhost:3000'
 
+  const switchMode = (nextMode) => {
+    setMode(nextMode)
+    setError('')
+    setInfo('')
+    setPassword('')
+    setConfirmPassword('')
+  }
+
+  // Ask for a password reset email
+  const handleForgot = async (e) => {
+    e.preventDefault()
+
+    if (!email.trim()) {
+      setError('Please enter your email')
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email.trim() })
+      })
+
+      const data = await response.json()
+
+      if (response.ok) {
+        setInfo(data.message)
+      } else {
+        setError(data.error || 'Could not send reset email')
+      }
+    } catch (error) {
+      setError('Network error. Please check if the backend is running.')
+      console.error('Forgot password error:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Choose a new password with the token from the reset email
+  const handleReset = async (e) => {
+    e.preventDefault()
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters long')
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token: resetToken, password })
+      })
+
+      const data = await response.json()
+
+      if (response.ok) {
+        // Drop the used token from the address bar
+        window.history.replaceState(null, '', window.location.pathname)
+        switchMode('login')
+        setInfo(data.message)
+      } else {
+        setError(data.error || 'Password reset failed')
+      }
+    } catch (error) {
+      setError('Network error. Please check if the backend is running.')
+      console.error('Reset password error:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     
@@ -33,6 +126,7 @@ function Login({ onLogin, onSwitchToRegister }) {
       if (response.ok) {
         // Store token in localStorage
         localStorage.setItem('token', data.token)
+        localStorage.setItem('refreshToken', data.refreshToken)
         localStorage.setItem('user', JSON.stringify(data.user))
         onLogin(data.user, data.token)
       } else {
@@ -46,11 +140,120 @@ function Login({ onLogin, onSwitchToRegister }) {
     }
   }
 
+  if (mode === 'forgot') {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>🔑 Forgot your password?</h2>
+          <p className="auth-hint">Enter your email and we'll send you a link to choose a new password.</p>
+
+          <form onSubmit={handleForgot} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="forgot-email">Email:</label>
+              <input
+                type="email"
+                id="forgot-email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                className="auth-input"
+                required
+              />
+            </div>
+
+            {info && <div className="message success">{info}</div>}
+            {error && <div className="message error">{error}</div>}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="auth-btn"
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+
+          <div className="auth-switch">
+            <p>Remembered it?
+              <button
+                onClick={() => switchMode('login')}
+                className="switch-btn"
+              >
+                Back to login
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  if (mode === 'reset') {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>🔑 Choose a new password</h2>
+
+          <form onSubmit={handleReset} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="new-password">New password:</label>
+              <input
+                type="password"
+                id="new-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="At least 6 characters"
+                className="auth-input"
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirm-new-password">Confirm password:</label>
+              <input
+                type="password"
+                id="confirm-new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Repeat the new password"
+                className="auth-input"
+                required
+              />
+            </div>
+
+            {error && <div className="message error">{error}</div>}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="auth-btn"
+            >
+              {loading ? 'Saving...' : 'Reset password'}
+            </button>
+          </form>
+
+          <div className="auth-switch">
+            <p>Link expired?
+              <button
+                onClick={() => switchMode('forgot')}
+                className="switch-btn"
+              >
+                Send a new one
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
         <h2>🔐 Login to Morphlink</h2>
         
+        {notice && <div className={`message ${notice.type}`}>{notice.text}</div>}
+        
         <form onSubmit={handleSubmit} className="auth-form">
           <div className="form-group">
             <label htmlFor="email">Email:</label>
@@ -78,6 +281,15 @@ function Login({ onLogin, onSwitchToRegister }) {
             />
           </div>
           
+          <button
+            type="button"
+            onClick={() => switchMode('forgot')}
+            className="forgot-btn"
+          >
+            Forgot password?
+          </button>
+          
+          {info && <div className="message success">{info}</div>}
           {error && <div className="message error">{error}</div>}
           
           <button 
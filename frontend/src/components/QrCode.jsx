@@ -0,0 +1,150 @@
+import { useState, useEffect, useCallback } from 'react'
+
+const ERROR_CORRECTION = {
+  L: 'Low (7%)',
+  M: 'Medium (15%)',
+  Q: 'Quartile (25%)',
+  H: 'High (30%)'
+}
+
+// How long a downloaded file's object URL is kept; browsers start the
+// download asynchronously, so revoking it right after click() can cancel it
+const DOWNLOAD_URL_LIFETIME = 60 * 1000
+
+// QR code preview for one link, with options and PNG/SVG downloads
+function QrCode({ link, authFetch, onClose }) {
+  const [options, setOptions] = useState({
+    size: 256,
+    margin: 4,
+    ecc: 'M',
+    color: '#000000',
+    background: '#ffffff'
+  })
+  const [previewUrl, setPreviewUrl] = useState(null)
+  const [error, setError] = useState('')
+
+  // The endpoint needs the auth header, so images are fetched as blobs
+  const fetchQr = useCallback(async (format, extra = {}) => {
+    const params = new URLSearchParams({ ...options, format, ...extra })
+    const response = await authFetch(`/api/links/${link.shortCode}/qr?${params}`)
+    if (!response.ok) {
+      const data = await response.json()
+      throw new Error(data.error || 'Failed to create QR code')
+    }
+    return response.blob()
+  }, [link.shortCode, authFetch, options])
+
+  useEffect(() => {
+    let objectUrl = null
+    let cancelled = false
+
+    const loadPreview = async () => {
+      try {
+        const blob = await fetchQr('svg')
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(blob)
+        setPreviewUrl(objectUrl)
+        setError('')
+      } catch (error) {
+        if (!cancelled) setError(error.message)
+      }
+    }
+
+    // Wait for typing (e.g. in the size field) to settle before refetching
+    const timeout = setTimeout(loadPreview, 300)
+    return () => {
+      cancelled = true
+      clearTimeout(timeout)
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [fetchQr])
+
+  const download = async (format) => {
+    try {
+      const blob = await fetchQr(format, { download: 'true' })
+      const url = URL.createObjectURL(blob)
+      const anchor = document.createElement('a')
+      anchor.href = url
+      anchor.download = `${link.shortCode}-qr.${format}`
+      anchor.click()
+      setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME)
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const setOption = (name, value) => {
+    setOptions((current) => ({ ...current, [name]: value }))
+  }
+
+  return (
+    <section className="import-section qr-section">
+      <div className="analytics-header">
+        <h2>📱 QR code for /{link.shortCode}</h2>
+        <button onClick={onClose} className="cancel-btn">Close</button>
+      </div>
+
+      <div className="qr-layout">
+        <div className="qr-preview">
+          {previewUrl && <img src={previewUrl} alt={`QR code for /${link.shortCode}`} />}
+        </div>
+
+        <div className="qr-options">
+          <label>
+            Size (px)
+            <input
+              type="number"
+              min="64"
+              max="2048"
+              value={options.size}
+              onChange={(e) => setOption('size', e.target.value)}
+              className="edit-input"
+            />
+          </label>
+          <label>
+            Margin (modules)
+            <input
+              type="number"
+              min="0"
+              max="16"
+              value={options.margin}
+              onChange={(e) => setOption('margin', e.target.value)}
+              className="edit-input"
+            />
+          </label>
+          <label>
+            Error correction
+            <select value={options.ecc} onChange={(e) => setOption('ecc', e.target.value)} className="edit-input">
+              {Object.entries(ERROR_CORRECTION).map(([level, label]) => (
+                <option key={level} value={level}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <div className="qr-colors">
+            <label>
+              Colour
+              <input type="color" value={options.color} onChange={(e) => setOption('color', e.target.value)} />
+            </label>
+            <label>
+              Background
+              <input type="color" value={options.background} onChange={(e) => setOption('background', e.target.value)} />
+            </label>
+          </div>
+
+          {error && <div className="message error">{error}</div>}
+
+          <div className="import-actions">
+            <button onClick={() => download('png')} disabled={Boolean(error)} className="save-btn">
+              ⬇️ PNG
+            </button>
+            <button onClick={() => download('svg')} disabled={Boolean(error)} className="save-btn">
+              ⬇️ SVG
+            </button>
+          </div>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default QrCode
@@ -44,6 +44,7 @@ function Register({ onRegister, onSwitchToLogin }) {
       if (response.ok) {
         // Store token in localStorage
         localStorage.setItem('token', data.token)
+        localStorage.setItem('refreshToken', data.refreshToken)
         localStorage.setItem('user', JSON.stringify(data.user))
         onRegister(data.user, data.token)
       } else {
@@ -61,6 +62,7 @@ function Register({ onRegister, onSwitchToLogin }) {
     <div className="auth-container">
       <div className="auth-card">
         <h2>📝 Register for Morphlink</h2>
+        <p className="auth-hint">We'll email you a link to verify your address.</p>
         
         <form onSubmit={handleSubmit} className="auth-form">
           <div className="form-group">
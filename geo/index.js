@@ -0,0 +1,85 @@
+// Morphlink IP geolocation
+// Maps IPv4 addresses to a coarse country code using a locally bundled range
+// table, so no external service is ever contacted.
+//
+// Configuration (environment variables):
+//   GEOIP_TABLE - path to a JSON file of [cidr, countryCode] pairs that
+//                 replaces the bundled ./ip-ranges.json
+
+const fs = require('fs');
+const path = require('path');
+
+const TABLE_PATH = process.env.GEOIP_TABLE || path.join(__dirname, 'ip-ranges.json');
+
+// Convert a dotted IPv4 address to an unsigned 32-bit number (null if invalid)
+function ipv4ToNumber(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  let value = 0;
+  for (const part of parts) {
+    const octet = Number(part);
+    if (!/^\d{1,3}$/.test(part) || octet > 255) {
+      return null;
+    }
+    value = value * 256 + octet;
+  }
+  return value;
+}
+
+// Load the range table as [{ start, end, country }] sorted by start address
+function loadRanges(tablePath) {
+  const entries = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+
+  return entries
+    .map(([cidr, country]) => {
+      const [address, bits] = cidr.split('/');
+      const start = ipv4ToNumber(address);
+      const size = 2 ** (32 - Number(bits));
+      return { start, end: start + size - 1, country };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+let ranges = null;
+
+// Country code for an IP address, or null when it is unknown, private or IPv6
+function lookupCountry(ip) {
+  if (!ip) {
+    return null;
+  }
+
+  // Treat IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) as IPv4
+  const value = ipv4ToNumber(ip.replace(/^::ffff:/i, ''));
+  if (value === null) {
+    return null;
+  }
+
+  if (!ranges) {
+    ranges = loadRanges(TABLE_PATH);
+  }
+
+  // Binary search for the last range starting at or before the address
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const range = ranges[mid];
+
+    if (value < range.start) {
+      high = mid - 1;
+    } else if (value > range.end) {
+      low = mid + 1;
+    } else {
+      return range.country;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  lookupCountry,
+  ipv4ToNumber
+};
@@ -1,60 +1,255 @@
 // Morphlink Backend Monolith
 // Contains Auth, Link Manager, Redirector, and Analytics modules
 
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const { nanoid } = require('nanoid');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const database = require('./database');
+const { getClickContext } = require('./click-context');
+const { parseAnalyticsQuery, aggregateClicks } = require('./link-analytics');
+const { rateLimit, loadLimits, createBucketStore, createRedirectBucketStore } = require('./rate-limit');
+const { parseBulkBody } = require('./bulk-import');
+const { parseLinkQuery, queryLinks } = require('./link-query');
+const { checkDestination, normalizeDomain } = require('./url-safety');
+const { parseQrOptions, renderQrCode } = require('./qr');
+const { parseShortCodeParam, shouldPreview, parseInterstitial, sendPreview } = require('./link-preview');
+const { LoadTracker } = require('./load-metrics');
+const { RedirectorBalancer } = require('./redirector-balancer');
+const {
+  LINK_COLUMNS,
+  CLICK_COLUMNS,
+  parseExportQuery,
+  streamExport,
+  exportableLinks,
+  exportableClicks
+} = require('./data-export');
+const { Mailer } = require('./mailer');
+const { loadInternalSecret, hasInternalToken } = require('./internal-secret');
+const {
+  SCOPES,
+  isApiKey,
+  parseApiKeyOptions,
+  createApiKey,
+  authenticateApiKey,
+  toPublicApiKey
+} = require('./api-keys');
+const {
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('./account-tokens');
+const {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  toPublicSession
+} = require('./sessions');
+const {
+  getExpiryReason,
+  parseExpiryOptions,
+  sendGone,
+  startExpirySweeper
+} = require('./link-expiry');
 
 // JWT Secret (in production, use environment variable)
 const JWT_SECRET = process.env.JWT_SECRET || 'morphlink-secret-key-2024';
 
+// Emails that are given the admin role on signup/login (comma-separated)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Shared secret for /api/internal/* routes (INTERNAL_API_SECRET, or one
+// generated into INTERNAL_API_SECRET_FILE and read by the autopilot)
+const INTERNAL_API_SECRET = loadInternalSecret();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Redirector microservice instances that receive proxied redirects while the
+// monolith redirector is inactive (the autopilot registers its pool here)
+const redirectorBalancer = new RedirectorBalancer();
+const REDIRECTOR_PROXY_TIMEOUT = parseInt(process.env.REDIRECTOR_PROXY_TIMEOUT, 10) || 3000;
+
 // Middleware
-app.use(cors());
+// The internal API is never offered to browsers, so it gets no CORS headers
+const INTERNAL_API_PATH = /^\/api\/internal(\/|$)/i;
+const corsMiddleware = cors();
+app.use((req, res, next) => {
+  if (INTERNAL_API_PATH.test(req.path)) {
+    return next();
+  }
+  corsMiddleware(req, res, next);
+});
+// Bulk imports (JSON or CSV) may be larger than other request bodies; the
+// route's parser runs first, so the default 100kb one leaves them alone
+const BULK_BODY_LIMIT = '1mb';
+app.use('/api/links/bulk', express.json({ limit: BULK_BODY_LIMIT }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Rate limiters (buckets are shared with the redirector microservice)
+const rateLimits = loadLimits();
+const rateLimitStore = createBucketStore();
+
+const authRateLimit = rateLimit({
+  name: 'auth',
+  limit: rateLimits.auth,
+  key: (req) => req.ip,
+  store: rateLimitStore
+});
+
+const linkCreationRateLimit = rateLimit({
+  name: 'links',
+  limit: rateLimits.links,
+  key: (req) => req.user.id,
+  store: rateLimitStore
+});
+
+const bulkImportRateLimit = rateLimit({
+  name: 'bulk',
+  limit: rateLimits.bulk,
+  key: (req) => req.user.id,
+  store: rateLimitStore
+});
+
+const redirectRateLimit = rateLimit({
+  name: 'redirects',
+  limit: rateLimits.redirects,
+  key: (req) => parseShortCodeParam(req.params.shortCode).shortCode,
+  store: createRedirectBucketStore()
+});
+
+// Redirect rates and latency reported to the autopilot (shared with the microservice)
+const loadTracker = new LoadTracker({ service: 'monolith' });
+
 // Internal state for autopilot control
 let redirectorStatus = 'active'; // 'active' or 'inactive'
 
-// JWT Authentication Middleware
+// Authentication middleware: accepts a JWT access token or a personal API key
+// (Authorization: Bearer <token or key>, or X-API-Key: <key>)
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]); // Bearer TOKEN
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (isApiKey(token)) {
+    const result = authenticateApiKey(database, token);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+    
+    const { apiKey, user } = result;
+    req.user = { id: user.id, email: user.email, role: user.role || 'user' };
+    req.apiKey = apiKey;
+    return next();
+  }
+
   jwt.verify(token, JWT_SECRET, (err, user) => {
     if (err) {
+      // Expired tokens get a 401 so clients know to use their refresh token
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+      }
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+    
+    // Access tokens are tied to a session that can be revoked server-side
+    if (!isSessionActive(database.findSessionById(user.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+    }
+    
     req.user = user;
+    req.sessionId = user.sid;
     next();
   });
 };
 
-// Helper function to generate JWT token
-const generateToken = (user) => {
+// Role-based access middleware (use after authenticateToken)
+const requireRole = (role) => (req, res, next) => {
+  // Tokens issued before roles existed carry no role and count as 'user'
+  const userRole = req.user.role || 'user';
+  if (userRole !== role) {
+    return res.status(403).json({ error: `Access denied: ${role} role required` });
+  }
+  next();
+};
+
+// API key scope check (use after authenticateToken). Session logins may do
+// everything; API keys only what their scopes allow.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key is missing the '${scope}' scope` });
+  }
+  next();
+};
+
+// Account management is only available to logged-in users, never to API keys
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint cannot be used with an API key' });
+  }
+  next();
+};
+
+// Internal API authentication: the shared secret header is always required,
+// and requests sent by a browser (they carry an Origin) are turned away
+const authenticateInternal = (req, res, next) => {
+  if (req.headers.origin) {
+    return res.status(403).json({ error: 'Internal API is not available to browsers' });
+  }
+  if (!hasInternalToken(req, INTERNAL_API_SECRET)) {
+    return res.status(401).json({ error: 'Invalid internal API token' });
+  }
+  next();
+};
+
+// Role for a user: admins are configured with ADMIN_EMAILS
+const resolveRole = (email) => {
+  return ADMIN_EMAILS.includes(email.toLowerCase()) ? 'admin' : 'user';
+};
+
+// Helper function to generate a short-lived JWT access token for a session
+const generateToken = (user, session) => {
   return jwt.sign(
-    { id: user.id, email: user.email },
+    { id: user.id, email: user.email, role: user.role || 'user', sid: session.id },
     JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
+// Start a session and issue its access and refresh tokens
+const startSession = (user, req) => {
+  const { session, refreshToken } = createSession(database, user, req);
+  return { token: generateToken(user, session), refreshToken };
+};
+
+// Account emails (verification, password reset); see mailer/ for transports
+const mailer = new Mailer();
+
 // =============================================================================
 // AUTH MODULE
 // =============================================================================
 
+// Addresses end up in email headers, so whitespace (including CR/LF) is never
+// allowed; 254 characters is the longest address SMTP can carry
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_MAX_LENGTH = 254;
+
+const isValidEmail = (email) => {
+  return typeof email === 'string' && email.length <= EMAIL_MAX_LENGTH && EMAIL_PATTERN.test(email);
+};
+
 // User signup endpoint
-app.post('/api/auth/signup', async (req, res) => {
+app.post('/api/auth/signup', authRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -62,6 +257,10 @@ app.post('/api/auth/signup', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
     
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    
     // Validate password length
     if (password.length < 6) {
       return res.status(400).json({ error: 'Password must be at least 6 characters long' });
@@ -78,17 +277,22 @@ app.post('/api/auth/signup', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
     
     // Create new user
-    const newUser = database.addUser({ email, password: hashedPassword });
+    const newUser = database.addUser({ email, password: hashedPassword, role: resolveRole(email) });
+    
+    // Send the verification link without holding up signup
+    sendVerificationEmail(mailer, database, newUser)
+      .catch(error => console.error('Verification email error:', error));
     
-    // Generate JWT token
-    const token = generateToken(newUser);
+    // Start a session (access + refresh token)
+    const { token, refreshToken } = startSession(newUser, req);
     
-    // Return user without password and include token
+    // Return user without password and include tokens
     const { password: _, ...userResponse } = newUser;
     res.status(201).json({ 
       message: 'User created successfully', 
       user: userResponse,
-      token 
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -97,7 +301,7 @@ app.post('/api/auth/signup', async (req, res) => {
 });
 
 // User login endpoint
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', authRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -106,7 +310,7 @@ app.post('/api/auth/login', async (req, res) => {
     }
     
     // Find user
-    const user = database.findUserByEmail(email);
+    let user = database.findUserByEmail(email);
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
@@ -117,15 +321,22 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    // Generate JWT token
-    const token = generateToken(user);
+    // Pick up ADMIN_EMAILS changes made since the account was created
+    const role = resolveRole(user.email);
+    if (user.role !== role) {
+      user = database.updateUser(user.id, { role });
+    }
+    
+    // Start a session (access + refresh token)
+    const { token, refreshToken } = startSession(user, req);
     
-    // Return user without password and include token
+    // Return user without password and include tokens
     const { password: _, ...userResponse } = user;
     res.json({ 
       message: 'Login successful', 
       user: userResponse,
-      token 
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -133,40 +344,486 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token (the refresh token rotates)
+app.post('/api/auth/refresh', authRateLimit, (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+    
+    const rotated = rotateRefreshToken(database, refreshToken);
+    if (rotated.error) {
+      return res.status(401).json({ error: rotated.error });
+    }
+    
+    const user = database.findUserById(rotated.session.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    
+    res.json({
+      token: generateToken(user, rotated.session),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout endpoint: revokes the current session server-side
+app.post('/api/auth/logout', authenticateToken, requireSession, (req, res) => {
+  try {
+    database.revokeSession(req.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the user's active sessions (devices)
+app.get('/api/auth/sessions', authenticateToken, requireSession, (req, res) => {
+  try {
+    const sessions = database.getSessionsByUserId(req.user.id)
+      .filter(session => isSessionActive(session))
+      .map(session => toPublicSession(session, req.sessionId));
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out every other device
+app.delete('/api/auth/sessions', authenticateToken, requireSession, (req, res) => {
+  try {
+    const others = database.getSessionsByUserId(req.user.id)
+      .filter(session => session.id !== req.sessionId && isSessionActive(session));
+    
+    for (const session of others) {
+      database.revokeSession(session.id, 'signed_out_by_user');
+    }
+    res.json({ message: 'Other sessions signed out', revoked: others.length });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out one device
+app.delete('/api/auth/sessions/:id', authenticateToken, requireSession, (req, res) => {
+  try {
+    const session = database.findSessionById(Number(req.params.id));
+    
+    if (!session || session.userId !== req.user.id || !isSessionActive(session)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    database.revokeSession(session.id, 'signed_out_by_user');
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', authRateLimit, (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+    
+    const result = consumeAccountToken(database, token, 'verify_email');
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    const user = result.user.emailVerifiedAt
+      ? result.user
+      : database.updateUser(result.user.id, { emailVerifiedAt: new Date().toISOString() });
+    
+    const { password: _, ...userResponse } = user;
+    res.json({ message: 'Email verified', user: userResponse });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a fresh verification email to the logged-in user
+app.post('/api/auth/resend-verification', authRateLimit, authenticateToken, requireSession, async (req, res) => {
+  try {
+    const user = database.findUserById(req.user.id);
+    
+    if (user.emailVerifiedAt) {
+      return res.status(409).json({ error: 'Email is already verified' });
+    }
+    
+    await sendVerificationEmail(mailer, database, user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a password reset. The response is the same whether or not the
+// account exists so the endpoint cannot be used to discover emails.
+app.post('/api/auth/forgot-password', authRateLimit, (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    // The email goes out after the response and mailer errors are only
+    // logged, so neither the timing nor the status shows whether the
+    // account exists
+    const user = database.findUserByEmail(email);
+    if (user) {
+      setImmediate(() => {
+        sendPasswordResetEmail(mailer, database, user)
+          .catch(error => console.error('Password reset email error:', error));
+      });
+    }
+    
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Choose a new password with the token from the reset email.
+// Every existing session is signed out.
+app.post('/api/auth/reset-password', authRateLimit, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({ error: 'token and password are required' });
+    }
+    
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+    
+    const result = consumeAccountToken(database, token, 'reset_password');
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    // Opening the emailed link also proves the address belongs to the user
+    const { user } = result;
+    const hashedPassword = await bcrypt.hash(password, 10);
+    database.updateUser(user.id, {
+      password: hashedPassword,
+      emailVerifiedAt: user.emailVerifiedAt || new Date().toISOString()
+    });
+    
+    for (const session of database.getSessionsByUserId(user.id)) {
+      if (isSessionActive(session)) {
+        database.revokeSession(session.id, 'password_reset');
+      }
+    }
+    
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the user's API keys
+app.get('/api/keys', authenticateToken, requireSession, (req, res) => {
+  try {
+    const apiKeys = database.getApiKeysByUserId(req.user.id)
+      .filter(apiKey => !apiKey.revokedAt)
+      .map(toPublicApiKey);
+    res.json({ apiKeys, scopes: SCOPES });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create an API key. The key itself is only returned in this response.
+app.post('/api/keys', authenticateToken, requireSession, (req, res) => {
+  try {
+    const options = parseApiKeyOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    
+    const { apiKey, key } = createApiKey(database, req.user, options);
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      apiKey: toPublicApiKey(apiKey),
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/keys/:id', authenticateToken, requireSession, (req, res) => {
+  try {
+    const apiKey = database.findApiKeyById(Number(req.params.id));
+    
+    if (!apiKey || apiKey.userId !== req.user.id || apiKey.revokedAt) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    database.revokeApiKey(apiKey.id);
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // =============================================================================
 // LINK MANAGER MODULE
 // =============================================================================
 
-// Create short link endpoint (protected)
-app.post('/api/links', authenticateToken, (req, res) => {
-  try {
-    const { longUrl } = req.body;
+// Custom alias rules
+const ALIAS_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ALIAS_MIN_LENGTH = 3;
+const ALIAS_MAX_LENGTH = 32;
+
+// Aliases that would shadow routes or be confusing as short links
+const RESERVED_ALIASES = [
+  'api', 'health', 'admin', 'auth', 'login', 'logout', 'signup', 'register',
+  'internal', 'links', 'analytics', 'dashboard', 'settings', 'static',
+  'assets', 'public', 'docs', 'help', 'www'
+];
+
+// Returns an error message for an invalid alias, or null if it is acceptable
+function validateAlias(alias) {
+  if (typeof alias !== 'string') {
+    return 'Alias must be a string';
+  }
+  if (alias.length < ALIAS_MIN_LENGTH || alias.length > ALIAS_MAX_LENGTH) {
+    return `Alias must be between ${ALIAS_MIN_LENGTH} and ${ALIAS_MAX_LENGTH} characters long`;
+  }
+  if (!ALIAS_PATTERN.test(alias)) {
+    return 'Alias may only contain letters, numbers, hyphens and underscores';
+  }
+  if (RESERVED_ALIASES.includes(alias.toLowerCase())) {
+    return `"${alias}" is reserved and cannot be used as an alias`;
+  }
+  return null;
+}
+
+// Suggest available variations of an alias that is already taken
+function suggestAliases(alias, count = 3) {
+  const base = alias.slice(0, ALIAS_MAX_LENGTH - 6);
+  const candidates = [
+    `${base}-${new Date().getFullYear()}`,
+    `${base}-2`,
+    `${base}-3`,
+    `${base}-${nanoid(4)}`,
+    `${base}-${nanoid(4)}`
+  ];
+  
+  return candidates
+    .filter((candidate, index) => candidates.indexOf(candidate) === index)
+    .filter(candidate => !validateAlias(candidate) && !database.findLinkByShortCode(candidate))
+    .slice(0, count);
+}
+
+// Owner-provided link metadata limits
+const TITLE_MAX_LENGTH = 200;
+const DESCRIPTION_MAX_LENGTH = 1000;
+
+// Validate optional title/description fields.
+// Returns { error } or the fields normalised for storage (empty -> null).
+function parseLinkMetadata({ title, description }) {
+  const result = {};
+  const fields = [
+    ['title', title, TITLE_MAX_LENGTH],
+    ['description', description, DESCRIPTION_MAX_LENGTH]
+  ];
+  
+  for (const [name, value, maxLength] of fields) {
+    if (value === undefined) continue;
     
-    if (!longUrl) {
-      return res.status(400).json({ error: 'longUrl is required' });
+    if (value !== null && typeof value !== 'string') {
+      return { error: `${name} must be a string` };
+    }
+    const trimmed = value ? value.trim() : '';
+    if (trimmed.length > maxLength) {
+      return { error: `${name} must be at most ${maxLength} characters long` };
+    }
+    result[name] = trimmed || null;
+  }
+  
+  return result;
+}
+
+// Tag limits
+const MAX_TAGS_PER_LINK = 10;
+const TAG_MAX_LENGTH = 30;
+
+// Validate optional tags, given as an array or a comma/semicolon-separated string.
+// Returns { error } or { tags } trimmed, lower-cased and without duplicates.
+function parseTags(tags) {
+  if (tags === undefined || tags === null || tags === '') {
+    return { tags: [] };
+  }
+  
+  const list = typeof tags === 'string' ? tags.split(/[,;]/) : tags;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+    return { error: 'tags must be an array of strings or a comma-separated string' };
+  }
+  
+  const normalized = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS_PER_LINK) {
+    return { error: `A link can have at most ${MAX_TAGS_PER_LINK} tags` };
+  }
+  if (normalized.some(tag => tag.length > TAG_MAX_LENGTH)) {
+    return { error: `Tags must be at most ${TAG_MAX_LENGTH} characters long` };
+  }
+  return { tags: normalized };
+}
+
+const FOLDER_MAX_LENGTH = 50;
+
+// Validate an optional folder name.
+// Returns { error } or { folder } (empty -> null).
+function parseFolder(folder) {
+  if (folder === undefined || folder === null) {
+    return { folder: null };
+  }
+  if (typeof folder !== 'string') {
+    return { error: 'folder must be a string' };
+  }
+  const trimmed = folder.trim();
+  if (trimmed.length > FOLDER_MAX_LENGTH) {
+    return { error: `folder must be at most ${FOLDER_MAX_LENGTH} characters long` };
+  }
+  return { folder: trimmed || null };
+}
+
+// Generate a random short code that is not already in use
+function generateShortCode() {
+  let shortCode;
+  do {
+    shortCode = nanoid(8);
+  } while (database.findLinkByShortCode(shortCode));
+  return shortCode;
+}
+
+// Validate one link creation request.
+// Returns { status, error, suggestions? } or { link } ready for createLink.
+// claimedAliases holds aliases used by earlier rows of the same bulk import.
+function prepareLink(input, userId, claimedAliases = new Set()) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { status: 400, error: 'Each link must be an object' };
+  }
+  
+  const { longUrl, alias, expiresAt, maxClicks, title, description, tags, folder, interstitial } = input;
+  
+  if (!longUrl) {
+    return { status: 400, error: 'longUrl is required' };
+  }
+  
+  // Scheme, private network, redirect loop and blocklist checks
+  const destination = checkDestination(database, longUrl, { shortCode: alias || null });
+  if (destination.error) {
+    return { status: 400, error: destination.error };
+  }
+  
+  // Validate optional expiry date and click budget
+  const expiry = parseExpiryOptions({ expiresAt, maxClicks });
+  if (expiry.error) {
+    return { status: 400, error: expiry.error };
+  }
+  
+  // Validate optional metadata, tags and folder
+  const metadata = parseLinkMetadata({ title, description });
+  if (metadata.error) {
+    return { status: 400, error: metadata.error };
+  }
+  
+  const tagList = parseTags(tags);
+  if (tagList.error) {
+    return { status: 400, error: tagList.error };
+  }
+  
+  const folderName = parseFolder(folder);
+  if (folderName.error) {
+    return { status: 400, error: folderName.error };
+  }
+  
+  const preview = parseInterstitial(interstitial);
+  if (preview.error) {
+    return { status: 400, error: preview.error };
+  }
+  
+  // Use the requested alias, or generate a short code when the link is created
+  const customAlias = alias !== undefined && alias !== null && alias !== '';
+  if (customAlias) {
+    const aliasError = validateAlias(alias);
+    if (aliasError) {
+      return { status: 400, error: aliasError };
     }
     
-    // Validate URL format (basic validation)
-    try {
-      new URL(longUrl);
-    } catch {
-      return res.status(400).json({ error: 'Invalid URL format' });
+    if (claimedAliases.has(alias)) {
+      return { status: 409, error: 'Alias is used by an earlier row' };
     }
     
-    // Generate unique short code
-    const shortCode = nanoid(8);
+    if (database.findLinkByShortCode(alias)) {
+      return { status: 409, error: 'Alias is already taken', suggestions: suggestAliases(alias) };
+    }
+  }
+  
+  return {
+    link: {
+      shortCode: customAlias ? alias : null,
+      longUrl,
+      userId,
+      customAlias,
+      expiresAt: expiry.expiresAt,
+      maxClicks: expiry.maxClicks,
+      ...metadata,
+      tags: tagList.tags,
+      folder: folderName.folder,
+      interstitial: preview.interstitial
+    }
+  };
+}
+
+// Store a link validated by prepareLink
+function createLink(link) {
+  return database.addLink({ ...link, shortCode: link.shortCode || generateShortCode() });
+}
+
+// Create short link endpoint (protected)
+app.post('/api/links', authenticateToken, requireScope('create'), linkCreationRateLimit, (req, res) => {
+  try {
+    const prepared = prepareLink(req.body, req.user.id);
+    if (prepared.error) {
+      const { status, ...body } = prepared;
+      return res.status(status).json(body);
+    }
     
     // Store the link with user association
-    const newLink = database.addLink({ 
-      shortCode, 
-      longUrl, 
-      userId: req.user.id 
-    });
+    const newLink = createLink(prepared.link);
     
     res.status(201).json({
       message: 'Short link created successfully',
       link: newLink,
-      shortUrl: `http://localhost:${PORT}/${shortCode}`
+      shortUrl: `http://localhost:${PORT}/${newLink.shortCode}`
     });
   } catch (error) {
     console.error('Link creation error:', error);
@@ -174,19 +831,219 @@ app.post('/api/links', authenticateToken, (req, res) => {
   }
 });
 
+// Bulk create links from a JSON array or a CSV file (columns: url, alias,
+// tags, folder, expiry, maxClicks, title, description, interstitial). Rows are validated
+// independently; valid rows are created even if others fail.
+// ?dryRun=true only validates, so clients can preview errors first.
+app.post(
+  '/api/links/bulk',
+  authenticateToken,
+  requireScope('create'),
+  bulkImportRateLimit,
+  express.text({ type: 'text/csv', limit: BULK_BODY_LIMIT }),
+  (req, res) => {
+    try {
+      const parsed = parseBulkBody(req);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      
+      const dryRun = req.query.dryRun === 'true';
+      const claimedAliases = new Set();
+      const results = parsed.rows.map((row, index) => {
+        const prepared = prepareLink(row, req.user.id, claimedAliases);
+        if (prepared.error) {
+          const { status: _, ...failure } = prepared;
+          return { row: index + 1, ok: false, longUrl: (row && row.longUrl) || null, ...failure };
+        }
+        
+        if (prepared.link.customAlias) {
+          claimedAliases.add(prepared.link.shortCode);
+        }
+        if (dryRun) {
+          return { row: index + 1, ok: true, longUrl: prepared.link.longUrl, shortCode: prepared.link.shortCode };
+        }
+        
+        const newLink = createLink(prepared.link);
+        return {
+          row: index + 1,
+          ok: true,
+          link: newLink,
+          shortUrl: `http://localhost:${PORT}/${newLink.shortCode}`
+        };
+      });
+      
+      const succeeded = results.filter(result => result.ok).length;
+      res.status(dryRun || succeeded === 0 ? 200 : 201).json({
+        dryRun,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      });
+    } catch (error) {
+      console.error('Bulk link creation error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
 // Get user's links endpoint (protected)
-app.get('/api/links', authenticateToken, (req, res) => {
+// Supports ?status=active|archived|all (default active), ?q= full-text search,
+// ?tag= and ?folder= filters, ?sort=createdAt|clicks&order=asc|desc and
+// cursor pagination with ?limit= and the nextCursor of the previous page
+app.get('/api/links', authenticateToken, requireScope('read'), (req, res) => {
   try {
-    const links = database.getLinksByUserId(req.user.id);
-    res.json({ links });
+    const query = parseLinkQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+    
+    res.json(queryLinks(database.getLinksByUserId(req.user.id), query));
   } catch (error) {
     console.error('Get links error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Update user's link endpoint (protected)
+// Accepts any of: longUrl, alias, expiresAt, maxClicks, title, description, tags, folder, interstitial.
+// Null clears expiresAt, maxClicks, title, description and folder.
+app.patch('/api/links/:shortCode', authenticateToken, requireScope('create'), (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const link = database.getLinkByShortCode(shortCode);
+    
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    
+    // Check if the link belongs to the authenticated user
+    if (link.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied: You can only edit your own links' });
+    }
+    
+    const body = req.body || {};
+    const changes = {};
+    
+    if ('alias' in body && body.alias !== link.shortCode) {
+      const aliasError = validateAlias(body.alias);
+      if (aliasError) {
+        return res.status(400).json({ error: aliasError });
+      }
+      
+      // The link's own previous codes are free for it to go back to
+      const holder = database.findLinkByShortCode(body.alias);
+      if (holder && holder.id !== link.id) {
+        return res.status(409).json({
+          error: 'Alias is already taken',
+          suggestions: suggestAliases(body.alias)
+        });
+      }
+      changes.shortCode = body.alias;
+      changes.customAlias = true;
+    }
+    
+    // A new alias can close a loop just like a new destination (another link
+    // may already point at the alias), so check whenever either changes
+    if ('longUrl' in body || changes.shortCode) {
+      const longUrl = 'longUrl' in body ? body.longUrl : link.longUrl;
+      const destination = checkDestination(database, longUrl, { shortCode: changes.shortCode || link.shortCode });
+      if (destination.error) {
+        return res.status(400).json({ error: destination.error });
+      }
+      if ('longUrl' in body) changes.longUrl = body.longUrl;
+    }
+    
+    if ('expiresAt' in body || 'maxClicks' in body) {
+      const expiry = parseExpiryOptions(body);
+      if (expiry.error) {
+        return res.status(400).json({ error: expiry.error });
+      }
+      if ('expiresAt' in body) changes.expiresAt = expiry.expiresAt;
+      if ('maxClicks' in body) changes.maxClicks = expiry.maxClicks;
+    }
+    
+    const metadata = parseLinkMetadata(body);
+    if (metadata.error) {
+      return res.status(400).json({ error: metadata.error });
+    }
+    Object.assign(changes, metadata);
+    
+    if ('tags' in body) {
+      const tagList = parseTags(body.tags);
+      if (tagList.error) {
+        return res.status(400).json({ error: tagList.error });
+      }
+      // Arrays never compare equal, so only record real changes
+      if (tagList.tags.join(',') !== (link.tags || []).join(',')) {
+        changes.tags = tagList.tags;
+      }
+    }
+    
+    if ('folder' in body) {
+      const folderName = parseFolder(body.folder);
+      if (folderName.error) {
+        return res.status(400).json({ error: folderName.error });
+      }
+      changes.folder = folderName.folder;
+    }
+    
+    if ('interstitial' in body) {
+      const preview = parseInterstitial(body.interstitial);
+      if (preview.error) {
+        return res.status(400).json({ error: preview.error });
+      }
+      changes.interstitial = preview.interstitial;
+    }
+    
+    if (Object.keys(changes).length === 0 && !('tags' in body)) {
+      return res.status(400).json({ 
+        error: 'Nothing to update. Provide longUrl, alias, expiresAt, maxClicks, title, description, tags, folder or interstitial' 
+      });
+    }
+    
+    // Extending the expiry of an archived link brings it back to life
+    if (link.archivedAt && !getExpiryReason({ ...link, ...changes, archivedAt: null })) {
+      changes.archivedAt = null;
+      changes.archiveReason = null;
+    }
+    
+    const updatedLink = database.updateLink(shortCode, changes, req.user.id);
+    
+    res.json({
+      message: 'Link updated successfully',
+      link: updatedLink,
+      shortUrl: `http://localhost:${PORT}/${updatedLink.shortCode}`
+    });
+  } catch (error) {
+    console.error('Update link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get revision history of user's link endpoint (protected)
+app.get('/api/links/:shortCode/revisions', authenticateToken, requireScope('read'), (req, res) => {
+  try {
+    const link = database.getLinkByShortCode(req.params.shortCode);
+    
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    
+    if (link.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied: You can only view your own links' });
+    }
+    
+    res.json({ revisions: database.getLinkRevisions(link.id) });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete user's link endpoint (protected)
-app.delete('/api/links/:shortCode', authenticateToken, (req, res) => {
+app.delete('/api/links/:shortCode', authenticateToken, requireScope('delete'), (req, res) => {
   try {
     const { shortCode } = req.params;
     const link = database.getLinkByShortCode(shortCode);
@@ -213,11 +1070,12 @@ app.delete('/api/links/:shortCode', authenticateToken, (req, res) => {
 // =============================================================================
 
 // Asynchronous analytics logging function
-function logClick(shortCode) {
+// context is captured from the request before the response is sent
+function logClick(shortCode, context) {
   // This runs asynchronously and doesn't block the redirect
   setImmediate(() => {
     try {
-      database.logClick(shortCode);
+      database.logClick(shortCode, context);
       console.log(`Analytics: Click logged for ${shortCode} at ${new Date().toISOString()}`);
     } catch (error) {
       console.error('Analytics error:', error);
@@ -225,8 +1083,76 @@ function logClick(shortCode) {
   });
 }
 
-// Get analytics endpoint (for debugging/monitoring)
-app.get('/api/analytics', (req, res) => {
+// Per-link analytics endpoint (protected, owner only)
+// Query: interval=hour|day|week (default day), from/to ISO dates
+// (default the last 7 days), limit for the top-N breakdowns (default 10)
+app.get('/api/links/:shortCode/analytics', authenticateToken, requireScope('analytics'), (req, res) => {
+  try {
+    const link = database.getLinkByShortCode(req.params.shortCode);
+    
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    
+    if (link.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied: You can only view analytics for your own links' });
+    }
+    
+    const query = parseAnalyticsQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+    
+    const events = database.getClicksByShortCode(link.shortCode);
+    res.json({
+      shortCode: link.shortCode,
+      ...aggregateClicks(events, query)
+    });
+  } catch (error) {
+    console.error('Link analytics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// QR code for a short URL (?format=png|svg&size=&margin=&ecc=L|M|Q|H&color=&background=&download=true)
+app.get('/api/links/:shortCode/qr', authenticateToken, requireScope('read'), (req, res) => {
+  try {
+    const link = database.getLinkByShortCode(req.params.shortCode);
+    
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    
+    if (link.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied: You can only create QR codes for your own links' });
+    }
+    
+    const options = parseQrOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+    
+    const qr = renderQrCode(`http://localhost:${PORT}/${link.shortCode}`, options);
+    if (qr.error) {
+      return res.status(400).json({ error: qr.error });
+    }
+    
+    res.set({
+      'Content-Type': qr.contentType,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    if (req.query.download === 'true') {
+      res.attachment(`${link.shortCode}-qr.${options.format}`);
+    }
+    res.send(qr.body);
+  } catch (error) {
+    console.error('QR code error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Global analytics endpoint (admin only)
+app.get('/api/analytics', authenticateToken, requireScope('analytics'), requireRole('admin'), (req, res) => {
   try {
     const analytics = database.getAnalytics();
     res.json({ analytics });
@@ -235,24 +1161,212 @@ app.get('/api/analytics', (req, res) => {
   }
 });
 
-// =============================================================================
-// REDIRECTOR MODULE
-// =============================================================================
+// Destination blocklist (admin only). Blocking a domain also blocks its subdomains.
+app.get('/api/admin/blocklist', authenticateToken, requireSession, requireRole('admin'), (req, res) => {
+  try {
+    res.json({ domains: database.getBlockedDomains() });
+  } catch (error) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-// Short URL redirect endpoint
-app.get('/:shortCode', (req, res) => {
+app.post('/api/admin/blocklist', authenticateToken, requireSession, requireRole('admin'), (req, res) => {
   try {
-    // Check if redirector is active (autopilot control)
-    if (redirectorStatus !== 'active') {
-      // Proxy request to microservice on port 3001
-      const microserviceUrl = `http://localhost:3001/${req.params.shortCode}`;
-      return res.redirect(302, microserviceUrl);
+    const { domain, reason } = req.body || {};
+    const normalized = normalizeDomain(domain);
+    if (!normalized) {
+      return res.status(400).json({ error: 'domain must be a valid domain name, e.g. example.com' });
+    }
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+      return res.status(400).json({ error: 'reason must be a string of at most 200 characters' });
+    }
+    if (database.getBlockedDomains().some(entry => entry.domain === normalized)) {
+      return res.status(409).json({ error: `${normalized} is already blocked` });
     }
     
-    const { shortCode } = req.params;
+    const entry = database.addBlockedDomain({
+      domain: normalized,
+      reason: reason ? reason.trim() : null,
+      createdBy: req.user.id
+    });
+    res.status(201).json({ message: 'Domain blocked', domain: entry });
+  } catch (error) {
+    console.error('Blocklist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/admin/blocklist/:id', authenticateToken, requireSession, requireRole('admin'), (req, res) => {
+  try {
+    const entry = database.findBlockedDomainById(Number(req.params.id));
+    if (!entry) {
+      return res.status(404).json({ error: 'Blocked domain not found' });
+    }
+    database.deleteBlockedDomain(entry.id);
+    res.json({ message: 'Domain unblocked' });
+  } catch (error) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export the user's links (?format=csv|json|ndjson, ?from/?to filter on createdAt)
+app.get('/api/export/links', authenticateToken, requireScope('read'), async (req, res) => {
+  try {
+    const query = parseExportQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+    
+    const links = database.getLinksByUserId(req.user.id);
+    await streamExport(res, {
+      records: exportableLinks(links, query),
+      columns: LINK_COLUMNS,
+      format: query.format,
+      filename: 'morphlink-links'
+    });
+  } catch (error) {
+    console.error('Export links error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export click events for the user's links (?format=csv|json|ndjson,
+// ?from/?to filter on the click timestamp, ?shortCode for a single link)
+app.get('/api/export/clicks', authenticateToken, requireScope('analytics'), async (req, res) => {
+  try {
+    const query = parseExportQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
     
-    // Increment load counter for autopilot monitoring
-    database.incrementLoad();
+    let links = database.getLinksByUserId(req.user.id);
+    if (req.query.shortCode) {
+      links = links.filter(link => link.shortCode === req.query.shortCode);
+      if (links.length === 0) {
+        return res.status(404).json({ error: 'Link not found' });
+      }
+    }
+    
+    // Copy the event list so changes made while streaming cannot shift it
+    const events = database.getAnalytics().slice();
+    await streamExport(res, {
+      records: exportableClicks(events, new Set(links.map(link => link.shortCode)), query),
+      columns: CLICK_COLUMNS,
+      format: query.format,
+      filename: 'morphlink-clicks'
+    });
+  } catch (error) {
+    console.error('Export clicks error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// =============================================================================
+// REDIRECTOR MODULE
+// =============================================================================
+
+// Headers that only apply to a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+function stripHopByHopHeaders(headers) {
+  const result = { ...headers };
+  for (const header of HOP_BY_HOP_HEADERS) {
+    delete result[header];
+  }
+  return result;
+}
+
+// Proxy a redirect request to a redirector instance, streaming its response back.
+// An instance that cannot be reached (or times out) before it has started
+// responding is taken out of rotation and the next healthy one is tried; once
+// none is left, onUnavailable() lets the caller resolve locally instead.
+function proxyToRedirector(req, res, onUnavailable, tried = []) {
+  const instance = redirectorBalancer.pick(tried);
+  if (!instance) {
+    if (tried.length > 0) {
+      console.error('No redirector instance available, falling back to local resolution');
+    }
+    return onUnavailable();
+  }
+
+  const target = new URL(req.originalUrl, instance.url);
+  const release = redirectorBalancer.acquire(instance);
+  let responded = false;
+  let aborted = false;
+
+  const proxyReq = http.request(target, {
+    method: req.method,
+    headers: {
+      ...stripHopByHopHeaders(req.headers),
+      host: target.host,
+      // The monolith is the public edge, so the client address it sees (req.ip)
+      // replaces any X-Forwarded-For the visitor may have sent
+      'x-forwarded-for': req.ip,
+      'x-forwarded-host': req.headers.host,
+      'x-forwarded-proto': req.protocol
+    },
+    timeout: REDIRECTOR_PROXY_TIMEOUT
+  });
+
+  proxyReq.on('response', (proxyRes) => {
+    responded = true;
+    res.status(proxyRes.statusCode);
+    res.set(stripHopByHopHeaders(proxyRes.headers));
+    proxyRes.pipe(res);
+  });
+
+  proxyReq.on('timeout', () => {
+    proxyReq.destroy(new Error(`Redirector did not respond within ${REDIRECTOR_PROXY_TIMEOUT}ms`));
+  });
+
+  proxyReq.on('error', (error) => {
+    release();
+    // Destroyed because the visitor went away: the instance did nothing wrong
+    // and there is nobody left to answer
+    if (aborted) {
+      return;
+    }
+    if (!responded && !res.headersSent) {
+      console.error(`Redirector proxy error (${instance.url}): ${error.message}`);
+      redirectorBalancer.markUnhealthy(instance, error);
+      proxyToRedirector(req, res, onUnavailable, [...tried, instance]);
+    } else {
+      // The response was already streaming; all we can do is end it
+      res.destroy(error);
+    }
+  });
+
+  res.on('close', () => {
+    release();
+    // Stop talking to the instance if the visitor goes away
+    if (!res.writableFinished) {
+      aborted = true;
+      proxyReq.destroy();
+    }
+  });
+
+  proxyReq.end();
+}
+
+// Resolve a short code with the monolith's own redirector
+function redirectLocally(req, res) {
+  try {
+    const { shortCode, preview } = parseShortCodeParam(req.params.shortCode);
     
     // Find the link
     const link = database.findLinkByShortCode(shortCode);
@@ -261,14 +1375,45 @@ app.get('/:shortCode', (req, res) => {
       return res.status(404).json({ error: 'Short URL not found' });
     }
     
-    // Log analytics asynchronously (non-blocking)
-    logClick(shortCode);
+    // Expired links and links out of clicks are gone for good
+    const expiryReason = getExpiryReason(link);
+    if (expiryReason) {
+      return sendGone(res, link, expiryReason);
+    }
+    
+    // Interstitial links and the "+" suffix show a preview page instead
+    if (shouldPreview(link, req, preview)) {
+      return sendPreview(res, link);
+    }
+    
+    // Log analytics asynchronously (non-blocking), under the current code
+    // when the link was reached through one it was renamed from
+    logClick(link.shortCode, getClickContext(req));
     
     // Perform redirect
     res.redirect(302, link.longUrl);
   } catch (error) {
     res.status(500).json({ error: 'Internal server error' });
   }
+}
+
+// Short URL redirect endpoint
+app.get('/:shortCode', (req, res) => {
+  // Check if redirector is active (autopilot control)
+  // The microservice applies the per-link limit itself, so it is only checked
+  // here when resolving locally. Rejected redirects count as load too, so
+  // the autopilot sees the traffic the limit turns away.
+  const resolveLocally = () => {
+    loadTracker.trackRequest(res);
+    redirectRateLimit(req, res, () => redirectLocally(req, res));
+  };
+  
+  if (redirectorStatus !== 'active') {
+    // Proxy request to the microservice; visitors only ever see this host
+    return proxyToRedirector(req, res, resolveLocally);
+  }
+  
+  resolveLocally();
 });
 
 // =============================================================================
@@ -278,12 +1423,16 @@ app.get('/:shortCode', (req, res) => {
 // Health check endpoint for autopilot monitoring
 app.get('/api/health', (req, res) => {
   try {
-    const currentLoad = database.getCurrentLoad();
+    const metrics = loadTracker.snapshot();
     
     res.json({
       redirector: {
         status: redirectorStatus === 'active' ? 'integrated' : 'separated',
-        load: currentLoad
+        // Redirects in the last minute across the monolith and the microservice
+        load: metrics.windows['1m'].requests,
+        metrics,
+        balancing: redirectorBalancer.strategy,
+        instances: redirectorBalancer.list()
       },
       timestamp: new Date().toISOString(),
       uptime: process.uptime()
@@ -297,6 +1446,9 @@ app.get('/api/health', (req, res) => {
 // CONTROL ENDPOINTS FOR AUTOPILOT
 // =============================================================================
 
+// Every internal route requires the shared secret
+app.use('/api/internal', authenticateInternal);
+
 // Internal endpoint to control redirector status
 app.post('/api/internal/set-redirector-status', (req, res) => {
   try {
@@ -324,12 +1476,56 @@ app.post('/api/internal/set-redirector-status', (req, res) => {
   }
 });
 
+// Replace the redirector instances that proxied redirects are balanced over
+app.put('/api/internal/redirectors', (req, res) => {
+  try {
+    const { urls } = req.body;
+
+    if (!Array.isArray(urls) || urls.some(url => typeof url !== 'string')) {
+      return res.status(400).json({ error: 'urls must be an array of redirector URLs' });
+    }
+    for (const url of urls) {
+      try {
+        if (!['http:', 'https:'].includes(new URL(url).protocol)) {
+          throw new Error();
+        }
+      } catch {
+        return res.status(400).json({ error: `Invalid redirector URL: ${url}` });
+      }
+    }
+
+    const instances = redirectorBalancer.setInstances(urls);
+    console.log(`Redirector instances: ${instances.map(instance => instance.url).join(', ') || 'none'}`);
+
+    res.json({
+      message: 'Redirector instances updated successfully',
+      balancing: redirectorBalancer.strategy,
+      instances,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/internal/redirectors', (req, res) => {
+  res.json({
+    balancing: redirectorBalancer.strategy,
+    instances: redirectorBalancer.list()
+  });
+});
+
 // =============================================================================
 // SERVER STARTUP
 // =============================================================================
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Client errors raised by middleware (body too large, malformed JSON) keep
+  // their status and message
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
   console.error('Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -339,18 +1535,26 @@ app.use('/api/*', (req, res) => {
   res.status(404).json({ error: 'API endpoint not found' });
 });
 
+// Archive expired links in the background
+const expirySweeper = startExpirySweeper(database);
+
+// Probe the redirector instances so failed ones leave (and rejoin) the rotation
+redirectorBalancer.startHealthChecks();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Morphlink Monolith running on http://localhost:${PORT}`);
   console.log(`📊 Health endpoint: http://localhost:${PORT}/api/health`);
   console.log(`🔗 Create links: POST http://localhost:${PORT}/api/links`);
   console.log(`📋 View links: GET http://localhost:${PORT}/api/links`);
-  console.log(`🔐 Auth endpoints: /api/auth/signup, /api/auth/login`);
+  console.log(`🔐 Auth endpoints: /api/auth/signup, /api/auth/login, /api/auth/refresh, /api/auth/logout, /api/auth/forgot-password, /api/auth/reset-password`);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down Morphlink Monolith...');
+  clearInterval(expirySweeper);
+  redirectorBalancer.stop();
   database.cleanup();
   process.exit(0);
 });
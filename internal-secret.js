@@ -0,0 +1,57 @@
+// Morphlink internal API secret
+// The shared secret the autopilot sends (X-Internal-Token) to the monolith's
+// /api/internal/* routes. Those routes always require it.
+//
+// Configuration (environment variables):
+//   INTERNAL_API_SECRET      - the secret; give the monolith and autopilot the same value
+//   INTERNAL_API_SECRET_FILE - where a generated secret is kept when INTERNAL_API_SECRET
+//                              is unset (default data/internal-secret)
+//
+// Without INTERNAL_API_SECRET, whichever of the monolith and autopilot starts
+// first generates a random secret into the file (readable by its owner only)
+// and the other reads it from there, so processes on one host share it
+// without any configuration.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_SECRET_FILE = path.join(__dirname, 'data', 'internal-secret');
+
+function loadInternalSecret(options = {}) {
+  const secret = options.secret !== undefined ? options.secret : process.env.INTERNAL_API_SECRET;
+  if (secret) {
+    return secret;
+  }
+
+  const filePath = options.filePath || process.env.INTERNAL_API_SECRET_FILE || DEFAULT_SECRET_FILE;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  try {
+    // 'wx' fails if the file exists, so two processes starting together
+    // cannot both write a secret
+    fs.writeFileSync(filePath, crypto.randomBytes(32).toString('hex'), { flag: 'wx', mode: 0o600 });
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+
+  const stored = fs.readFileSync(filePath, 'utf8').trim();
+  if (!stored) {
+    throw new Error(`Internal API secret file ${filePath} is empty`);
+  }
+  return stored;
+}
+
+// Whether a request carries the expected X-Internal-Token
+function hasInternalToken(req, secret) {
+  const provided = Buffer.from(req.headers['x-internal-token'] || '');
+  const expected = Buffer.from(secret);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+  loadInternalSecret,
+  hasInternalToken
+};
@@ -0,0 +1,131 @@
+// Morphlink per-link analytics
+// Aggregates stored click events into time series and breakdowns
+
+const INTERVALS = ['hour', 'day', 'week'];
+
+// Upper bound on time series length so one request cannot build huge responses
+const MAX_BUCKETS = 2000;
+
+const DEFAULT_RANGE_DAYS = 7;
+const DEFAULT_TOP_LIMIT = 10;
+
+// Start of the UTC hour/day/week (weeks start on Monday) containing date
+function bucketStart(date, interval) {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+
+  if (interval === 'day' || interval === 'week') {
+    start.setUTCHours(0);
+  }
+  if (interval === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+}
+
+// Advance a bucket start to the next bucket
+function nextBucket(date, interval) {
+  const next = new Date(date);
+  if (interval === 'hour') {
+    next.setUTCHours(next.getUTCHours() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+}
+
+// Validate analytics query parameters.
+// Returns { error } or { from, to, interval, limit }.
+function parseAnalyticsQuery(query, now = new Date()) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `Invalid interval. Must be one of: ${INTERVALS.join(', ')}` };
+  }
+
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  let buckets = 0;
+  for (let t = bucketStart(from, interval); t <= to && buckets <= MAX_BUCKETS; t = nextBucket(t, interval)) {
+    buckets++;
+  }
+  if (buckets > MAX_BUCKETS) {
+    return { error: `Range too large for ${interval} buckets (max ${MAX_BUCKETS}). Use a larger interval.` };
+  }
+
+  const limit = query.limit ? Number(query.limit) : DEFAULT_TOP_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return { error: 'limit must be an integer between 1 and 100' };
+  }
+
+  return { from, to, interval, limit };
+}
+
+// Count events by a field, most frequent first
+function topValues(events, field, limit, fallback = 'Unknown') {
+  const counts = new Map();
+  for (const event of events) {
+    const value = event[field] || fallback;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value, clicks]) => ({ [field]: value, clicks }));
+}
+
+// Aggregate click events for one link over a range
+function aggregateClicks(events, { from, to, interval, limit }) {
+  const inRange = events.filter(event => {
+    const timestamp = new Date(event.timestamp);
+    return timestamp >= from && timestamp <= to;
+  });
+
+  // Time series with empty buckets filled in
+  const counts = new Map();
+  for (const event of inRange) {
+    const key = bucketStart(event.timestamp, interval).toISOString();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const timeseries = [];
+  for (let t = bucketStart(from, interval); t <= to; t = nextBucket(t, interval)) {
+    const key = t.toISOString();
+    timeseries.push({ bucket: key, clicks: counts.get(key) || 0 });
+  }
+
+  // Visitors are estimated from the anonymized IP and user agent, so
+  // different people behind the same network and browser count once
+  const visitors = new Set(inRange.map(event => `${event.ip}|${event.userAgent}`));
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString() },
+    interval,
+    totalClicks: inRange.length,
+    uniqueVisitors: visitors.size,
+    timeseries,
+    topReferrers: topValues(inRange, 'referrerHost', limit, 'Direct'),
+    topDevices: topValues(inRange, 'device', limit),
+    topBrowsers: topValues(inRange, 'browser', limit),
+    topOperatingSystems: topValues(inRange, 'os', limit),
+    topCountries: topValues(inRange, 'country', limit),
+    topLanguages: topValues(inRange, 'language', limit)
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  parseAnalyticsQuery,
+  aggregateClicks
+};
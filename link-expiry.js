@@ -0,0 +1,104 @@
+// Morphlink link expiry
+// Shared by the monolith and the redirector microservice so both enforce the
+// same rules for links with an expiry date or a click budget
+
+const { renderGonePage } = require('./pages');
+
+// How often the monolith archives links that have expired (1 minute)
+const SWEEP_INTERVAL = parseInt(process.env.LINK_SWEEP_INTERVAL, 10) || 60000;
+
+// Why a link can no longer be followed, or null if it is still live
+function getExpiryReason(link, now = new Date()) {
+  if (link.archivedAt) {
+    return link.archiveReason || 'expired';
+  }
+  if (link.expiresAt && new Date(link.expiresAt) <= now) {
+    return 'expired';
+  }
+  if (link.maxClicks && link.clicks >= link.maxClicks) {
+    return 'click-limit';
+  }
+  return null;
+}
+
+// Validate the optional expiry fields of a link request.
+// Returns { error } or { expiresAt, maxClicks } normalised for storage.
+function parseExpiryOptions({ expiresAt, maxClicks }) {
+  const result = { expiresAt: null, maxClicks: null };
+
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+      return { error: 'expiresAt must be a valid date' };
+    }
+    if (date <= new Date()) {
+      return { error: 'expiresAt must be in the future' };
+    }
+    result.expiresAt = date.toISOString();
+  }
+
+  if (maxClicks !== undefined && maxClicks !== null && maxClicks !== '') {
+    const clicks = Number(maxClicks);
+    if (!Number.isInteger(clicks) || clicks < 1) {
+      return { error: 'maxClicks must be a positive integer' };
+    }
+    result.maxClicks = clicks;
+  }
+
+  return result;
+}
+
+// Respond with 410 Gone: a friendly page for browsers, JSON for API clients
+function sendGone(res, link, reason, extra = {}) {
+  const message = reason === 'click-limit'
+    ? 'This short link has reached its click limit'
+    : 'This short link has expired';
+
+  const sendJson = () => res.json({ error: message, reason, ...extra });
+
+  res.status(410).format({
+    json: sendJson,
+    html: () => res.send(renderGonePage(link, message)),
+    default: sendJson
+  });
+}
+
+// Archive every link that has expired (run periodically by the monolith)
+function sweepExpiredLinks(database) {
+  const now = new Date();
+  let archived = 0;
+
+  for (const link of database.getAllLinks()) {
+    if (link.archivedAt) continue;
+
+    const reason = getExpiryReason(link, now);
+    if (reason) {
+      database.archiveLink(link.shortCode, reason);
+      archived++;
+    }
+  }
+
+  if (archived > 0) {
+    console.log(`Expiry sweeper: archived ${archived} link(s)`);
+  }
+  return archived;
+}
+
+// Start the background sweeper; returns the interval handle
+function startExpirySweeper(database, interval = SWEEP_INTERVAL) {
+  return setInterval(() => {
+    try {
+      sweepExpiredLinks(database);
+    } catch (error) {
+      console.error('Expiry sweeper error:', error);
+    }
+  }, interval);
+}
+
+module.exports = {
+  getExpiryReason,
+  parseExpiryOptions,
+  sendGone,
+  sweepExpiredLinks,
+  startExpirySweeper
+};
@@ -0,0 +1,80 @@
+// Morphlink link previews
+// Shared by the monolith and the redirector microservice. Visitors see a
+// preview page instead of being redirected when:
+//   - the link has interstitial mode turned on, or
+//   - the short code is followed by the preview suffix (e.g. /abc123+)
+// The page's button follows the link with ?continue=1, which skips the
+// interstitial, so the click is logged (and counted against maxClicks) only
+// when the visitor actually goes on to the destination.
+
+const { renderPreviewPage } = require('./pages');
+
+const PREVIEW_SUFFIX = '+';
+
+// Split the :shortCode route parameter into the short code and whether the
+// preview suffix was used
+function parseShortCodeParam(param) {
+  if (param.length > 1 && param.endsWith(PREVIEW_SUFFIX)) {
+    return { shortCode: param.slice(0, -PREVIEW_SUFFIX.length), preview: true };
+  }
+  return { shortCode: param, preview: false };
+}
+
+// Whether a request for link should get the preview page instead of a redirect
+function shouldPreview(link, req, suffixUsed) {
+  if (suffixUsed) {
+    return true;
+  }
+  return Boolean(link.interstitial) && req.query.continue === undefined;
+}
+
+// Validate the optional interstitial flag of a link request.
+// Accepts booleans and the strings CSV files use ("true", "yes", "1", ...).
+// Returns { error } or { interstitial }.
+function parseInterstitial(value) {
+  if (value === undefined || value === null || value === '') {
+    return { interstitial: false };
+  }
+  if (typeof value === 'boolean') {
+    return { interstitial: value };
+  }
+
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(text)) {
+    return { interstitial: true };
+  }
+  if (['false', 'no', '0'].includes(text)) {
+    return { interstitial: false };
+  }
+  return { error: 'interstitial must be true or false' };
+}
+
+// Respond with the preview: an HTML page for browsers, JSON for API clients
+function sendPreview(res, link, extra = {}) {
+  const continueUrl = `/${encodeURIComponent(link.shortCode)}?continue=1`;
+
+  const sendJson = () => res.json({
+    shortCode: link.shortCode,
+    longUrl: link.longUrl,
+    title: link.title || null,
+    description: link.description || null,
+    createdAt: link.createdAt,
+    continueUrl,
+    ...extra
+  });
+
+  // Previews describe the link as it is now, so they must not be cached
+  res.set('Cache-Control', 'no-store').format({
+    json: sendJson,
+    html: () => res.send(renderPreviewPage(link, continueUrl)),
+    default: sendJson
+  });
+}
+
+module.exports = {
+  PREVIEW_SUFFIX,
+  parseShortCodeParam,
+  shouldPreview,
+  parseInterstitial,
+  sendPreview
+};
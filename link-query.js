@@ -0,0 +1,158 @@
+// Morphlink link queries
+// Search, filtering, sorting and cursor pagination for GET /api/links
+
+// Link status filters
+const LINK_STATUS_FILTERS = ['active', 'archived', 'all'];
+
+const SORT_FIELDS = ['createdAt', 'clicks'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Cursors are opaque to clients: base64url JSON holding the sort they were
+// issued for and the sort value and id of the last link on the page
+function encodeCursor(sort, order, link) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: link[sort], id: link.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return decoded && typeof decoded === 'object' && Number.isInteger(decoded.id) ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+// Query parameters can be repeated (?tag=a&tag=b) or comma-separated (?tag=a,b)
+function listParam(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Validate GET /api/links query parameters.
+// Returns { error } or the normalised query.
+function parseLinkQuery(query) {
+  const status = query.status || 'active';
+  if (!LINK_STATUS_FILTERS.includes(status)) {
+    return { error: `Invalid status. Must be one of: ${LINK_STATUS_FILTERS.join(', ')}` };
+  }
+
+  const sort = query.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `Invalid sort. Must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  const order = query.order || 'desc';
+  if (!SORT_ORDERS.includes(order)) {
+    return { error: `Invalid order. Must be one of: ${SORT_ORDERS.join(', ')}` };
+  }
+
+  const limit = query.limit ? Number(query.limit) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== sort || cursor.o !== order) {
+      return { error: 'Invalid cursor for this sort order' };
+    }
+  }
+
+  return {
+    status,
+    terms: String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean),
+    tags: query.tag !== undefined ? listParam(query.tag) : [],
+    // An empty ?folder= selects links that are not in a folder
+    folder: query.folder !== undefined ? String(query.folder).trim() : undefined,
+    sort,
+    order,
+    limit,
+    cursor
+  };
+}
+
+function matchesStatus(link, status) {
+  if (status === 'all') return true;
+  return status === 'archived' ? Boolean(link.archivedAt) : !link.archivedAt;
+}
+
+// Full-text search over the destination, short code (alias) and title:
+// every term must appear in one of them
+function matchesSearch(link, terms) {
+  if (terms.length === 0) return true;
+  const text = [link.longUrl, link.shortCode, link.title].filter(Boolean).join(' ').toLowerCase();
+  return terms.every(term => text.includes(term));
+}
+
+function matchesFilters(link, { tags, folder }) {
+  const linkTags = link.tags || [];
+  if (!tags.every(tag => linkTags.includes(tag))) return false;
+  if (folder !== undefined && (link.folder || '') !== folder) return false;
+  return true;
+}
+
+// Order by the sort field, then by id so the order is stable across pages
+function compareLinks(a, b, sort, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  if (a[sort] < b[sort]) return -direction;
+  if (a[sort] > b[sort]) return direction;
+  return (a.id - b.id) * direction;
+}
+
+// Tag and folder counts, so clients can offer filter options
+function linkFacets(links) {
+  const tags = new Map();
+  const folders = new Map();
+  for (const link of links) {
+    for (const tag of link.tags || []) {
+      tags.set(tag, (tags.get(tag) || 0) + 1);
+    }
+    if (link.folder) {
+      folders.set(link.folder, (folders.get(link.folder) || 0) + 1);
+    }
+  }
+
+  const toList = (counts, field) => [...counts.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({ [field]: value, count }));
+
+  return { tags: toList(tags, 'tag'), folders: toList(folders, 'folder') };
+}
+
+// Apply a parsed query to a user's links.
+// Returns { links, total, nextCursor, facets }.
+function queryLinks(links, query) {
+  const { status, terms, sort, order, limit, cursor } = query;
+
+  const withStatus = links.filter(link => matchesStatus(link, status));
+  const matches = withStatus
+    .filter(link => matchesSearch(link, terms) && matchesFilters(link, query))
+    .sort((a, b) => compareLinks(a, b, sort, order));
+
+  const start = cursor
+    ? matches.filter(link => compareLinks(link, { [sort]: cursor.v, id: cursor.id }, sort, order) > 0)
+    : matches;
+  const page = start.slice(0, limit);
+  const hasMore = start.length > limit;
+
+  return {
+    links: page,
+    total: matches.length,
+    nextCursor: hasMore ? encodeCursor(sort, order, page[page.length - 1]) : null,
+    facets: linkFacets(withStatus)
+  };
+}
+
+module.exports = {
+  LINK_STATUS_FILTERS,
+  SORT_FIELDS,
+  parseLinkQuery,
+  queryLinks
+};
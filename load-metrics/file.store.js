@@ -0,0 +1,75 @@
+// Morphlink shared file load metrics store
+// Every process writes its own per-second buckets to <directory>/<id>.json
+// (one writer per file, so no locking is needed) and reads the files of the
+// others to report load across the monolith and the redirector microservice.
+
+const fs = require('fs');
+const path = require('path');
+
+class FileMetricsStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory;
+    this.id = options.id;
+    // Files untouched for longer than this only hold buckets outside every window
+    this.maxAgeMs = options.maxAgeMs;
+
+    if (!this.directory || !this.id) {
+      throw new Error('FileMetricsStore requires a directory and an id');
+    }
+    this.filePath = path.join(this.directory, `${this.id}.json`);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  // Replace this process's buckets
+  publish(buckets) {
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ id: this.id, buckets }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.warn(`Load metrics: could not write ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Buckets of every other live process, as [{ id, buckets }]
+  readOthers() {
+    let files;
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+    } catch {
+      return [];
+    }
+
+    const now = Date.now();
+    const others = [];
+    for (const file of files) {
+      const filePath = path.join(this.directory, file);
+      if (filePath === this.filePath) {
+        continue;
+      }
+
+      try {
+        // Drop files left behind by processes that stopped or crashed
+        if (now - fs.statSync(filePath).mtimeMs > this.maxAgeMs) {
+          fs.unlinkSync(filePath);
+          continue;
+        }
+        others.push(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      } catch {
+        // Removed or being replaced by its owner; it will be read next time
+      }
+    }
+    return others;
+  }
+
+  close() {
+    try {
+      fs.unlinkSync(this.filePath);
+    } catch {
+      // Never published
+    }
+  }
+}
+
+module.exports = FileMetricsStore;
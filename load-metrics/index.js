@@ -0,0 +1,187 @@
+// Morphlink load metrics
+// Rolling-window request rates and redirect latency for the autopilot.
+// Every redirect handled by the monolith or the redirector microservice is
+// recorded in per-second buckets (a request count plus a latency histogram);
+// reports merge the buckets of every process, so both /health endpoints see
+// the load of the whole system.
+//
+// Configuration (environment variables):
+//   LOAD_METRICS_STORE  - 'file' (default, shared between processes) or 'memory'
+//   LOAD_METRICS_DIR    - directory used by the file store (default data/metrics)
+
+const path = require('path');
+const MemoryMetricsStore = require('./memory.store');
+const FileMetricsStore = require('./file.store');
+
+const DEFAULT_METRICS_DIR = path.join(__dirname, '..', 'data', 'metrics');
+
+// Reported windows, in seconds
+const WINDOWS = {
+  '10s': 10,
+  '1m': 60,
+  '5m': 300
+};
+const LONGEST_WINDOW = Math.max(...Object.values(WINDOWS));
+
+// How often each process shares its buckets with the others
+const PUBLISH_INTERVAL = 1000;
+
+// Latency histogram: bucket i holds samples up to MIN_LATENCY * GROWTH^i ms,
+// so reported percentiles are at most 10% above the real value
+const MIN_LATENCY = 0.1;
+const GROWTH = 1.1;
+
+function latencyBucket(ms) {
+  return Math.max(0, Math.ceil(Math.log(Math.max(ms, MIN_LATENCY) / MIN_LATENCY) / Math.log(GROWTH)));
+}
+
+function bucketUpperBound(index) {
+  return Math.round(MIN_LATENCY * GROWTH ** index * 10) / 10;
+}
+
+function createMetricsStore(options = {}) {
+  const driver = options.driver || process.env.LOAD_METRICS_STORE || 'file';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryMetricsStore();
+
+    case 'file':
+      return new FileMetricsStore({
+        directory: options.directory || process.env.LOAD_METRICS_DIR || DEFAULT_METRICS_DIR,
+        id: options.id,
+        maxAgeMs: (LONGEST_WINDOW + 60) * 1000
+      });
+
+    default:
+      throw new Error(`Unknown load metrics store: ${driver}. Use "file" or "memory".`);
+  }
+}
+
+// Percentile (0-1) of a merged latency histogram, or null without samples
+function percentile(histogram, total, fraction) {
+  if (total === 0) {
+    return null;
+  }
+  const rank = Math.ceil(total * fraction);
+  let seen = 0;
+  for (const index of Object.keys(histogram).map(Number).sort((a, b) => a - b)) {
+    seen += histogram[index];
+    if (seen >= rank) {
+      return bucketUpperBound(index);
+    }
+  }
+  return null;
+}
+
+// Summarise per-second buckets (from any number of processes) for every window
+function summarize(bucketLists, now = Date.now()) {
+  const currentSecond = Math.floor(now / 1000);
+  const windows = {};
+
+  for (const [name, seconds] of Object.entries(WINDOWS)) {
+    let requests = 0;
+    const histogram = {};
+
+    for (const buckets of bucketLists) {
+      for (const bucket of buckets) {
+        if (bucket.second <= currentSecond - seconds || bucket.second > currentSecond) {
+          continue;
+        }
+        requests += bucket.count;
+        for (const [index, count] of Object.entries(bucket.latency)) {
+          histogram[index] = (histogram[index] || 0) + count;
+        }
+      }
+    }
+
+    windows[name] = {
+      requests,
+      rps: Math.round((requests / seconds) * 100) / 100,
+      p50: percentile(histogram, requests, 0.5),
+      p95: percentile(histogram, requests, 0.95)
+    };
+  }
+  return windows;
+}
+
+class LoadTracker {
+  // service names this process in the shared store (e.g. 'monolith')
+  constructor({ service, store } = {}) {
+    this.service = service;
+    this.store = store || createMetricsStore({ id: `${service}-${process.pid}` });
+    this.buckets = []; // [{ second, count, latency: { [bucketIndex]: count } }], oldest first
+    this.dirty = false;
+
+    this.publishInterval = setInterval(() => this.publish(), PUBLISH_INTERVAL);
+    this.publishInterval.unref();
+
+    // Stop counting towards the shared load once this process is gone
+    process.once('exit', () => this.close());
+  }
+
+  // Record one request once its response has been sent
+  trackRequest(res) {
+    const start = process.hrtime.bigint();
+    res.once('finish', () => {
+      this.record(Number(process.hrtime.bigint() - start) / 1e6);
+    });
+  }
+
+  record(latencyMs, now = Date.now()) {
+    const second = Math.floor(now / 1000);
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, count: 0, latency: {} };
+      this.buckets.push(bucket);
+    }
+
+    bucket.count++;
+    const index = latencyBucket(latencyMs);
+    bucket.latency[index] = (bucket.latency[index] || 0) + 1;
+    this.dirty = true;
+  }
+
+  // Forget buckets older than the longest window
+  prune(now = Date.now()) {
+    const oldest = Math.floor(now / 1000) - LONGEST_WINDOW;
+    const firstKept = this.buckets.findIndex(bucket => bucket.second > oldest);
+    if (firstKept === -1) {
+      this.buckets = [];
+    } else if (firstKept > 0) {
+      this.buckets = this.buckets.slice(firstKept);
+    }
+  }
+
+  publish() {
+    if (!this.dirty) {
+      return;
+    }
+    this.prune();
+    this.store.publish(this.buckets);
+    this.dirty = false;
+  }
+
+  // Rolling request rates and latency percentiles across every process
+  snapshot(now = Date.now()) {
+    this.prune(now);
+    const others = this.store.readOthers();
+    return {
+      windows: summarize([this.buckets, ...others.map(other => other.buckets)], now),
+      processes: others.length + 1,
+      store: this.store.name
+    };
+  }
+
+  close() {
+    clearInterval(this.publishInterval);
+    this.store.close();
+  }
+}
+
+module.exports = {
+  WINDOWS,
+  LoadTracker,
+  createMetricsStore,
+  summarize
+};
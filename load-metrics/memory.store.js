@@ -0,0 +1,20 @@
+// Morphlink in-memory load metrics store
+// Metrics stay in this process only, so each process reports its own load
+
+class MemoryMetricsStore {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  // Nothing to share with other processes
+  publish() {}
+
+  // Per-second buckets published by other processes
+  readOthers() {
+    return [];
+  }
+
+  close() {}
+}
+
+module.exports = MemoryMetricsStore;
@@ -0,0 +1,38 @@
+// Link creation shared by the load test scripts (load-test.js and
+// aggressive-load-test.js).
+//
+// Link creation is limited per user (RATE_LIMIT_LINKS, 10 per minute by
+// default), so a 429 is waited out (Retry-After) and retried rather than
+// counted as a failure. Start the monolith with e.g. RATE_LIMIT_LINKS=100/60
+// to create links without waiting.
+
+const axios = require('axios');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create one link with a personal API key; resolves with the axios response
+async function createLink(longUrl, { backendUrl, apiKey, attempts = 3 }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await axios.post(`${backendUrl}/api/links`, {
+        longUrl: longUrl
+      }, {
+        headers: { 'Authorization': `Bearer ${apiKey}` }
+      });
+    } catch (error) {
+      const limited = error.response && error.response.status === 429;
+      if (!limited || attempt >= attempts) {
+        throw error;
+      }
+      const retryAfter = Number(error.response.headers['retry-after']) || 1;
+      console.log(`⏳ Link creation limit reached, retrying in ${retryAfter}s...`);
+      await sleep(retryAfter * 1000);
+    }
+  }
+}
+
+module.exports = {
+  createLink
+};
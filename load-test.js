@@ -1,7 +1,13 @@
 const axios = require('axios');
+const { createLink } = require('./load-test-links');
 
 // Configuration
 const BACKEND_URL = 'http://localhost:3000';
+
+// Personal API key with the 'create' scope (create one in the frontend's
+// API keys panel or with POST /api/keys)
+const API_KEY = process.env.MORPHLINK_API_KEY;
+
 const TEST_URLS = [
   'https://www.google.com',
   'https://www.github.com',
@@ -34,9 +40,7 @@ class LoadTester {
     for (let i = 0; i < count; i++) {
       try {
         const longUrl = TEST_URLS[i % TEST_URLS.length] + `?test=${Date.now()}-${i}`;
-        const response = await axios.post(`${BACKEND_URL}/api/links`, {
-          longUrl: longUrl
-        });
+        const response = await createLink(longUrl, { backendUrl: BACKEND_URL, apiKey: API_KEY });
         
         if (response.data.link && response.data.link.shortCode) {
           this.createdLinks.push({
@@ -121,10 +125,12 @@ class LoadTester {
     try {
       // Check monolith health
       const monolithHealth = await axios.get(`${BACKEND_URL}/api/health`);
+      const { redirector } = monolithHealth.data;
       console.log('📊 Monolith Status:', {
-        status: monolithHealth.data.status,
-        load: monolithHealth.data.load,
-        redirectorActive: monolithHealth.data.redirectorActive,
+        redirector: redirector.status,
+        load: redirector.load,
+        rps: redirector.metrics.windows['10s'].rps,
+        p95: redirector.metrics.windows['1m'].p95,
         uptime: monolithHealth.data.uptime
       });
       
@@ -170,6 +176,11 @@ class LoadTester {
     console.log('🧪 Morphlink Load Testing Suite');
     console.log('=' .repeat(50));
     
+    if (!API_KEY) {
+      console.error('❌ Set MORPHLINK_API_KEY to an API key with the create scope');
+      return;
+    }
+    
     try {
       // Step 1: Check initial system status
       await this.checkSystemStatus();
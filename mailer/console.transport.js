@@ -0,0 +1,15 @@
+// Morphlink console mail transport
+// Prints messages to stdout, useful while developing
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,55 @@
+// Morphlink mailer
+// Sends account emails (verification, password reset) through a pluggable
+// transport.
+//
+// Configuration (environment variables):
+//   MAIL_TRANSPORT   - 'outbox' (default, writes .eml files) or 'console'
+//   MAIL_OUTBOX_DIR  - directory used by the outbox transport (default data/outbox)
+//   MAIL_FROM        - sender address (default 'Morphlink <no-reply@morphlink.local>')
+
+const path = require('path');
+const OutboxTransport = require('./outbox.transport');
+const ConsoleTransport = require('./console.transport');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'data', 'outbox');
+const DEFAULT_FROM = 'Morphlink <no-reply@morphlink.local>';
+
+function createTransport(options = {}) {
+  const driver = options.driver || process.env.MAIL_TRANSPORT || 'outbox';
+
+  switch (driver) {
+    case 'outbox':
+      return new OutboxTransport({
+        directory: options.directory || process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR
+      });
+
+    case 'console':
+      return new ConsoleTransport();
+
+    default:
+      throw new Error(`Unknown mail transport: ${driver}. Use "outbox" or "console".`);
+  }
+}
+
+class Mailer {
+  constructor(transport = createTransport(), from = process.env.MAIL_FROM || DEFAULT_FROM) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  // Send a message: { to, subject, text }
+  async send(message) {
+    return this.transport.send({
+      from: this.from,
+      date: new Date().toUTCString(),
+      ...message
+    });
+  }
+}
+
+module.exports = {
+  Mailer,
+  createTransport,
+  OutboxTransport,
+  ConsoleTransport
+};
@@ -0,0 +1,52 @@
+// Morphlink outbox mail transport
+// Writes every message to its own .eml file instead of delivering it, so
+// account emails work offline. Open the files with any mail client or read
+// them as plain text.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A header value containing CR or LF could add headers or start the body early
+function headerValue(name, value) {
+  const text = String(value);
+  if (/[\r\n]/.test(text)) {
+    throw new Error(`Invalid ${name} header: line breaks are not allowed`);
+  }
+  return text;
+}
+
+class OutboxTransport {
+  constructor(options = {}) {
+    this.name = 'outbox';
+    this.directory = options.directory;
+
+    if (!this.directory) {
+      throw new Error('OutboxTransport requires a directory');
+    }
+  }
+
+  // Returns { id, path } of the written message
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.directory, `${id}.eml`);
+    const eml = [
+      `From: ${headerValue('From', message.from)}`,
+      `To: ${headerValue('To', message.to)}`,
+      `Subject: ${headerValue('Subject', message.subject)}`,
+      `Date: ${headerValue('Date', message.date)}`,
+      `Message-ID: <${id}@morphlink.local>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+
+    await fs.promises.writeFile(filePath, eml);
+    return { id, path: filePath };
+  }
+}
+
+module.exports = OutboxTransport;
@@ -0,0 +1,76 @@
+// Morphlink HTML pages
+// Small server-rendered pages shown to visitors of short links
+
+// Escape text for safe inclusion in HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Shared page shell using the frontend's colour scheme
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - Morphlink</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      background: #f8fafc; color: #1e293b; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif; }
+    .card { max-width: 480px; margin: 2rem; padding: 2rem; background: #ffffff; border: 1px solid #e2e8f0;
+      border-radius: 12px; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1); text-align: center; }
+    h1 { margin: 0 0 0.5rem 0; font-size: 1.5rem; }
+    p { color: #64748b; line-height: 1.5; }
+    .brand { color: #667eea; font-weight: 600; }
+    .destination { padding: 0.75rem; background: #f1f5f9; border-radius: 8px; word-break: break-all; color: #1e293b; }
+    .button { display: inline-block; padding: 0.75rem 1.5rem; background: #667eea; color: #ffffff;
+      border-radius: 8px; font-weight: 600; text-decoration: none; }
+    .button:hover { background: #5a67d8; }
+    .meta { font-size: 0.875rem; }
+  </style>
+</head>
+<body>
+  <div class="card">
+${body}
+    <p class="brand">🔗 Morphlink</p>
+  </div>
+</body>
+</html>`;
+}
+
+// 410 page for links that expired or ran out of clicks
+function renderGonePage(link, message) {
+  return renderPage('Link unavailable', `    <h1>⏳ Link unavailable</h1>
+    <p>${escapeHtml(message)}.</p>
+    <p>The short link <strong>/${escapeHtml(link.shortCode)}</strong> is no longer active.</p>`);
+}
+
+// Preview shown before following a link (interstitial mode or the "+" suffix)
+function renderPreviewPage(link, continueUrl) {
+  const destination = new URL(link.longUrl);
+  const created = new Date(link.createdAt).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  return renderPage(link.title || 'Link preview', `    <h1>${link.title ? escapeHtml(link.title) : '🔍 Link preview'}</h1>
+${link.description ? `    <p>${escapeHtml(link.description)}</p>\n` : ''}    <p>The short link <strong>/${escapeHtml(link.shortCode)}</strong> leads to <strong>${escapeHtml(destination.hostname)}</strong>:</p>
+    <p class="destination">${escapeHtml(link.longUrl)}</p>
+    <p class="meta">Created ${escapeHtml(created)}</p>
+    <p><a class="button" href="${escapeHtml(continueUrl)}" rel="nofollow">Continue to ${escapeHtml(destination.hostname)} →</a></p>`);
+}
+
+module.exports = {
+  escapeHtml,
+  renderPage,
+  renderGonePage,
+  renderPreviewPage
+};
@@ -0,0 +1,449 @@
+// Morphlink QR code encoder
+// Builds the module matrix of a QR code (ISO/IEC 18004, model 2) for a piece
+// of text, encoded in byte mode. Supports versions 1-40 and all four error
+// correction levels. No external services or packages are involved.
+
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Two-bit level indicator written into the format information
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by level then version
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// Number of error correction blocks, indexed by level then version
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Data masks; a module is flipped when its mask returns true
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// ============================================================================
+// Capacity
+// ============================================================================
+
+// Modules available for data and error correction in a version
+function rawDataModules(version) {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    modules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      modules -= 36;
+    }
+  }
+  return modules;
+}
+
+function dataCodewords(version, level) {
+  return Math.floor(rawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+}
+
+// Bits used by the byte mode character count
+function countBits(version) {
+  return version <= 9 ? 8 : 16;
+}
+
+// ============================================================================
+// Reed-Solomon error correction over GF(256)
+// ============================================================================
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// Generator polynomial of the given degree, highest coefficient dropped
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Split data into blocks, add error correction to each and interleave them
+function addErrorCorrection(data, version, level) {
+  const blockCount = ECC_BLOCKS[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = rsDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+
+    const ecc = rsRemainder(block, divisor);
+    // Pad short blocks so every block has the same layout
+    if (i < shortBlockCount) {
+      block.push(0);
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// ============================================================================
+// Data encoding
+// ============================================================================
+
+// Byte mode data codewords for text, padded to the capacity of the version
+function encodeData(bytes, version, level) {
+  const capacityBits = dataCodewords(version, level) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  append(0b0100, 4); // Byte mode
+  append(bytes.length, countBits(version));
+  for (const byte of bytes) {
+    append(byte, 8);
+  }
+
+  // Terminator, then pad to a whole byte
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+// Smallest version that holds the data, or null if the text is too long
+function chooseVersion(byteLength, level) {
+  for (let version = 1; version <= 40; version++) {
+    const neededBits = 4 + countBits(version) + byteLength * 8;
+    if (neededBits <= dataCodewords(version, level) * 8) {
+      return version;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// Matrix layout
+// ============================================================================
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  // Set a function pattern module (never masked or overwritten by data)
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns and their separators
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = this.alignmentPositions();
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        if (!(i === 0 && j === 0) && !(i === 0 && j === last) && !(i === last && j === 0)) {
+          this.drawAlignment(x, y);
+        }
+      });
+    });
+
+    // Reserve the format area now; the real bits are drawn once the mask is chosen
+    this.drawFormatBits('L', 0);
+    this.drawVersionBits();
+  }
+
+  drawFinder(centerX, centerY) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignment(centerX, centerY) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  alignmentPositions() {
+    const { version, size } = this;
+    if (version === 1) {
+      return [];
+    }
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+      positions.splice(1, 0, position);
+    }
+    return positions;
+  }
+
+  drawFormatBits(level, mask) {
+    const data = (FORMAT_BITS[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    const { size } = this;
+
+    // Copy next to the top-left finder
+    for (let i = 0; i <= 5; i++) {
+      this.setFunction(8, i, bit(i));
+    }
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunction(14 - i, 8, bit(i));
+    }
+
+    // Copy split between the other two finders
+    for (let i = 0; i < 8; i++) {
+      this.setFunction(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunction(8, size - 15 + i, bit(i));
+    }
+    this.setFunction(8, size - 8, true); // Always dark
+  }
+
+  drawVersionBits() {
+    const { version, size } = this;
+    if (version < 7) {
+      return;
+    }
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Place codewords in the zig-zag order, two columns at a time from the right
+  drawCodewords(codewords) {
+    const { size } = this;
+    let bitIndex = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5; // Skip the vertical timing pattern
+      }
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!this.reserved[y][x] && bitIndex < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+            bitIndex++;
+          }
+        }
+      }
+    }
+  }
+
+  // XOR a mask over the data modules (applying it twice undoes it)
+  applyMask(mask) {
+    const test = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && test(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty score of the current modules; lower scans more reliably
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    for (const line of lines) {
+      // Runs of five or more modules of one colour
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) {
+            score += run - 2;
+          }
+          run = 1;
+        }
+      }
+
+      // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      for (const pattern of [/(?=10111010000)/g, /(?=00001011101)/g]) {
+        score += 40 * (text.match(pattern) || []).length;
+      }
+    }
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = modules[y][x];
+        if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const darkCount = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += 10 * Math.floor(Math.abs(darkCount * 20 - total * 10) / total);
+
+    return score;
+  }
+}
+
+// Build the QR code for text.
+// Returns { version, size, modules } where modules[y][x] is true for dark
+// modules, or null when the text does not fit in a QR code at this level.
+function encodeQr(text, level = 'M') {
+  if (!ERROR_CORRECTION_LEVELS.includes(level)) {
+    throw new Error(`Unknown error correction level: ${level}`);
+  }
+
+  const bytes = [...Buffer.from(text, 'utf8')];
+  const version = chooseVersion(bytes.length, level);
+  if (!version) {
+    return null;
+  }
+
+  const matrix = new QrMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version, level), version, level));
+
+  // Use the mask with the lowest penalty
+  let bestMask = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(level, mask);
+    const score = matrix.penalty();
+    if (score < bestScore) {
+      bestMask = mask;
+      bestScore = score;
+    }
+    matrix.applyMask(mask);
+  }
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(level, bestMask);
+
+  return { version, size: matrix.size, modules: matrix.modules };
+}
+
+module.exports = {
+  ERROR_CORRECTION_LEVELS,
+  encodeQr
+};
@@ -0,0 +1,93 @@
+// Morphlink QR codes
+// Server-side QR codes for short URLs, as PNG or SVG. Encoding and rendering
+// are done in this module; no external service or image library is used.
+
+const { ERROR_CORRECTION_LEVELS, encodeQr } = require('./encoder');
+const { renderSvg, renderPng } = require('./render');
+
+const QR_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+const DEFAULT_SIZE = 256;
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+
+// Quiet zone in modules; the QR specification asks for 4
+const DEFAULT_MARGIN = 4;
+const MAX_MARGIN = 16;
+
+// "#rgb" or "#rrggbb" (the "#" may be omitted) as lower-case "#rrggbb", or null
+function parseColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const hex = match[1].length === 3
+    ? match[1].split('').map(digit => digit + digit).join('')
+    : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+function parseInteger(value, fallback) {
+  return value === undefined || value === '' ? fallback : Number(value);
+}
+
+// Validate QR code query parameters.
+// Returns { error } or { format, size, margin, level, color, background }.
+function parseQrOptions(query) {
+  const format = query.format || 'png';
+  if (!QR_FORMATS[format]) {
+    return { error: `Invalid format. Must be one of: ${Object.keys(QR_FORMATS).join(', ')}` };
+  }
+
+  const size = parseInteger(query.size, DEFAULT_SIZE);
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    return { error: `size must be an integer between ${MIN_SIZE} and ${MAX_SIZE}` };
+  }
+
+  const margin = parseInteger(query.margin, DEFAULT_MARGIN);
+  if (!Number.isInteger(margin) || margin < 0 || margin > MAX_MARGIN) {
+    return { error: `margin must be an integer between 0 and ${MAX_MARGIN}` };
+  }
+
+  const level = String(query.ecc || 'M').toUpperCase();
+  if (!ERROR_CORRECTION_LEVELS.includes(level)) {
+    return { error: `Invalid ecc. Must be one of: ${ERROR_CORRECTION_LEVELS.join(', ')}` };
+  }
+
+  const color = parseColor(query.color || '#000000');
+  const background = parseColor(query.background || '#ffffff');
+  if (!color || !background) {
+    return { error: 'color and background must be hex colours such as #000 or #1a2b3c' };
+  }
+  if (color === background) {
+    return { error: 'color and background must differ' };
+  }
+
+  return { format, size, margin, level, color, background };
+}
+
+// Render text as a QR code.
+// Returns { error } or { contentType, body, version }.
+function renderQrCode(text, options) {
+  const qr = encodeQr(text, options.level);
+  if (!qr) {
+    return { error: 'Text is too long for a QR code at this error correction level' };
+  }
+
+  const minimumSize = qr.size + options.margin * 2;
+  if (options.size < minimumSize) {
+    return { error: `size must be at least ${minimumSize} for this QR code (version ${qr.version})` };
+  }
+
+  const body = options.format === 'svg' ? renderSvg(qr, options) : renderPng(qr, options);
+  return { contentType: QR_FORMATS[options.format], body, version: qr.version };
+}
+
+module.exports = {
+  QR_FORMATS,
+  parseQrOptions,
+  renderQrCode
+};
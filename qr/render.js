@@ -0,0 +1,107 @@
+// Morphlink QR code rendering
+// Turns an encoded QR matrix into an SVG document or a PNG image. PNGs are
+// written by hand (1-bit palette, deflated with zlib) so no image library is
+// needed.
+
+const zlib = require('zlib');
+
+// ============================================================================
+// SVG
+// ============================================================================
+
+// SVG scaled to size pixels; one user unit per module so it stays sharp at any size
+function renderSvg(qr, { size, margin, color, background }) {
+  const dimension = qr.size + margin * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`,
+    `<rect width="${dimension}" height="${dimension}" fill="${background}"/>`,
+    `<path d="${path.join('')}" fill="${color}"/>`,
+    '</svg>\n'
+  ].join('\n');
+}
+
+// ============================================================================
+// PNG
+// ============================================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function hexToRgb(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// Square PNG of exactly size pixels. Modules are drawn with a whole number of
+// pixels each; left-over pixels widen the quiet zone evenly.
+function renderPng(qr, { size, margin, color, background }) {
+  const scale = Math.floor(size / (qr.size + margin * 2));
+  const offset = Math.floor((size - qr.size * scale) / 2);
+
+  // One filter byte per row, then 1 bit per pixel (palette index 1 = dark)
+  const rowBytes = Math.ceil(size / 8);
+  const pixels = Buffer.alloc((rowBytes + 1) * size);
+  for (let py = 0; py < size; py++) {
+    const y = Math.floor((py - offset) / scale);
+    if (py < offset || y >= qr.size) {
+      continue;
+    }
+    const row = qr.modules[y];
+    const rowStart = py * (rowBytes + 1) + 1;
+    for (let px = offset; px < offset + qr.size * scale; px++) {
+      if (row[Math.floor((px - offset) / scale)]) {
+        pixels[rowStart + (px >>> 3)] |= 0x80 >>> (px & 7);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 1; // Bit depth
+  header[9] = 3; // Palette colour
+  // Bytes 10-12: default compression, filter and interlace methods
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('PLTE', Buffer.from([...hexToRgb(background), ...hexToRgb(color)])),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  renderSvg,
+  renderPng
+};
@@ -0,0 +1,129 @@
+// Morphlink shared file rate limit store
+// Keeps every bucket in one JSON file so the monolith and the redirector
+// microservice enforce the same limits. Each update holds a short-lived lock
+// directory (mkdir is atomic) while it reads, changes and rewrites the file.
+// All file access is asynchronous, so waiting for the lock never blocks the
+// event loop; updates from one process are queued so they do not compete for
+// the lock with each other.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Give up on the lock after this long and let the request through
+const LOCK_TIMEOUT = 100;
+
+// A lock older than this was left behind by a crashed process
+const STALE_LOCK_AGE = 2000;
+
+// Pause between attempts to take the lock
+const LOCK_RETRY_DELAY = 2;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class FileBucketStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.filePath;
+    this.lockPath = `${this.filePath}.lock`;
+    this.queue = Promise.resolve();
+
+    if (!this.filePath) {
+      throw new Error('FileBucketStore requires a filePath');
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  // Atomically read, change and save one bucket.
+  // updater(bucket | undefined, now) returns { bucket, result }.
+  // Resolves with the result, or null if the lock could not be taken in time.
+  update(key, updater) {
+    const next = this.queue.then(() => this.lockedUpdate(key, updater));
+    // A failed update must not stall the ones queued after it
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  async lockedUpdate(key, updater) {
+    if (!(await this.acquireLock())) {
+      return null;
+    }
+
+    try {
+      const now = Date.now();
+      const buckets = await this.read();
+
+      // Drop buckets that have refilled completely (they carry no information)
+      for (const [bucketKey, bucket] of Object.entries(buckets)) {
+        if (bucket.expiresAt <= now) {
+          delete buckets[bucketKey];
+        }
+      }
+
+      const { bucket, result } = updater(buckets[key], now);
+      buckets[key] = bucket;
+      await this.write(buckets);
+      return result;
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fsp.readFile(this.filePath, 'utf8'));
+    } catch {
+      // Missing or unreadable file: start from full buckets
+      return {};
+    }
+  }
+
+  async write(buckets) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tempPath, JSON.stringify(buckets));
+    await fsp.rename(tempPath, this.filePath);
+  }
+
+  async acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+
+    while (Date.now() < deadline) {
+      try {
+        await fsp.mkdir(this.lockPath);
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        await this.removeStaleLock();
+        await sleep(LOCK_RETRY_DELAY);
+      }
+    }
+
+    console.warn(`Rate limit: could not lock ${this.filePath}, allowing request`);
+    return false;
+  }
+
+  async releaseLock() {
+    try {
+      await fsp.rmdir(this.lockPath);
+    } catch {
+      // Already removed as stale by another process
+    }
+  }
+
+  async removeStaleLock() {
+    try {
+      const stats = await fsp.stat(this.lockPath);
+      if (Date.now() - stats.mtimeMs > STALE_LOCK_AGE) {
+        await fsp.rmdir(this.lockPath);
+      }
+    } catch {
+      // Lock was released in the meantime
+    }
+  }
+}
+
+module.exports = FileBucketStore;
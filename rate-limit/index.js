@@ -0,0 +1,159 @@
+// Morphlink rate limiting
+// Token-bucket limits shared by the monolith and the redirector microservice.
+//
+// Configuration (environment variables):
+//   RATE_LIMIT_STORE      - 'file' (default, shared between processes) or 'memory'
+//   RATE_LIMIT_REDIRECTS_STORE - store for the redirect limit (default: the
+//                           RATE_LIMIT_STORE one); 'memory' gives every
+//                           redirector process its own buckets
+//   RATE_LIMIT_FILE       - bucket file used by the file store
+//   RATE_LIMIT_LINKS      - link creation per user       (default 10/60)
+//   RATE_LIMIT_BULK       - bulk imports per user        (default 5/60)
+//   RATE_LIMIT_AUTH       - login and signup per IP      (default 10/60)
+//   RATE_LIMIT_REDIRECTS  - redirects per short code     (default 600/60)
+// Limits are written as "<requests>/<seconds>", or "off" to disable one.
+
+const path = require('path');
+const MemoryBucketStore = require('./memory.store');
+const FileBucketStore = require('./file.store');
+
+const DEFAULT_BUCKET_FILE = path.join(__dirname, '..', 'data', 'rate-limits.json');
+
+const DEFAULT_LIMITS = {
+  links: '10/60',
+  bulk: '5/60',
+  auth: '10/60',
+  redirects: '600/60'
+};
+
+// Parse "<requests>/<seconds>" into { capacity, windowMs }, or null for "off"
+function parseLimit(value) {
+  if (value === 'off') {
+    return null;
+  }
+
+  const match = /^(\d+)\/(\d+)$/.exec(value);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid rate limit "${value}". Use "<requests>/<seconds>" or "off".`);
+  }
+  return { capacity: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+// Limits from the environment, keyed by name
+function loadLimits() {
+  return {
+    links: parseLimit(process.env.RATE_LIMIT_LINKS || DEFAULT_LIMITS.links),
+    bulk: parseLimit(process.env.RATE_LIMIT_BULK || DEFAULT_LIMITS.bulk),
+    auth: parseLimit(process.env.RATE_LIMIT_AUTH || DEFAULT_LIMITS.auth),
+    redirects: parseLimit(process.env.RATE_LIMIT_REDIRECTS || DEFAULT_LIMITS.redirects)
+  };
+}
+
+function createBucketStore(options = {}) {
+  const driver = options.driver || process.env.RATE_LIMIT_STORE || 'file';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryBucketStore();
+
+    case 'file':
+      return new FileBucketStore({
+        filePath: options.filePath || process.env.RATE_LIMIT_FILE || DEFAULT_BUCKET_FILE
+      });
+
+    default:
+      throw new Error(`Unknown rate limit store: ${driver}. Use "file" or "memory".`);
+  }
+}
+
+// Take one token from a bucket. The bucket holds up to `capacity` tokens and
+// refills continuously at capacity / windowMs tokens per millisecond.
+function takeToken(bucket, now, { capacity, windowMs }) {
+  const refillRate = capacity / windowMs;
+  const previous = bucket || { tokens: capacity, updatedAt: now };
+
+  let tokens = Math.min(capacity, previous.tokens + (now - previous.updatedAt) * refillRate);
+  const allowed = tokens >= 1;
+  if (allowed) {
+    tokens -= 1;
+  }
+
+  const msUntilFull = (capacity - tokens) / refillRate;
+  const msUntilNextToken = allowed ? 0 : (1 - tokens) / refillRate;
+
+  return {
+    bucket: { tokens, updatedAt: now, expiresAt: now + msUntilFull },
+    result: {
+      allowed,
+      limit: capacity,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil(msUntilFull / 1000),
+      retryAfter: Math.ceil(msUntilNextToken / 1000)
+    }
+  };
+}
+
+// Store for the redirect limit. By default it is the shared store, so the
+// monolith and every redirector worker count against the same buckets. With
+// 'memory' each process counts on its own and the effective limit grows with
+// the pool: (workers + 1) times RATE_LIMIT_REDIRECTS.
+function createRedirectBucketStore() {
+  return createBucketStore({ driver: process.env.RATE_LIMIT_REDIRECTS_STORE });
+}
+
+// Express middleware enforcing one limit.
+//   name    - limit name, also used to namespace bucket keys
+//   limit   - { capacity, windowMs } or null to disable
+//   key     - (req) => string identifying who is being limited
+//   store   - bucket store shared by every limiter in the process
+//   body    - extra fields for the 429 JSON body
+function rateLimit({ name, limit, key, store, body = {} }) {
+  if (!limit) {
+    return (req, res, next) => next();
+  }
+
+  const windowSeconds = Math.round(limit.windowMs / 1000);
+
+  return async (req, res, next) => {
+    const bucketKey = `${name}:${key(req)}`;
+    let result;
+    try {
+      result = await store.update(bucketKey, (bucket, now) => takeToken(bucket, now, limit));
+    } catch (error) {
+      console.error(`Rate limit store error (${name}):`, error.message);
+      result = null;
+    }
+
+    // Fail open if the shared store is unavailable
+    if (!result) {
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Policy': `${limit.capacity};w=${windowSeconds}`,
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.reset)
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        retryAfter: result.retryAfter,
+        ...body
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  loadLimits,
+  parseLimit,
+  createBucketStore,
+  createRedirectBucketStore,
+  takeToken
+};
@@ -0,0 +1,37 @@
+// Morphlink in-memory rate limit store
+// Buckets live in this process only, so limits are not shared with other processes
+
+class MemoryBucketStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map();
+    this.lastPrune = 0;
+  }
+
+  // Atomically read, change and save one bucket.
+  // updater(bucket | undefined, now) returns { bucket, result }.
+  update(key, updater) {
+    const now = Date.now();
+    this.prune(now);
+
+    const { bucket, result } = updater(this.buckets.get(key), now);
+    this.buckets.set(key, bucket);
+    return result;
+  }
+
+  // Drop buckets that have refilled completely (at most once per second)
+  prune(now) {
+    if (now - this.lastPrune < 1000) {
+      return;
+    }
+    this.lastPrune = now;
+
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.expiresAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryBucketStore;
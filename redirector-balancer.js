@@ -0,0 +1,156 @@
+// Morphlink redirector load balancer
+// While the monolith redirector is inactive, proxied redirects are spread
+// over the redirector instances registered by the autopilot. Instances are
+// probed on /health in the background and taken out of rotation as soon as a
+// probe or a proxied request fails, until a later probe succeeds.
+//
+// Configuration (environment variables):
+//   REDIRECTOR_URLS             - comma-separated instances to start with
+//                                 (default REDIRECTOR_URL, or http://localhost:3001)
+//   REDIRECTOR_BALANCING        - 'round-robin' (default) or 'least-connections'
+//   REDIRECTOR_HEALTH_INTERVAL  - ms between /health probes (default 5000)
+
+const http = require('http');
+
+const STRATEGIES = ['round-robin', 'least-connections'];
+
+// A probe slower than this counts as a failure
+const HEALTH_TIMEOUT = 1000;
+
+function normalizeUrl(url) {
+  return new URL(url).origin;
+}
+
+class RedirectorBalancer {
+  constructor(options = {}) {
+    this.strategy = options.strategy || process.env.REDIRECTOR_BALANCING || 'round-robin';
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown balancing strategy: ${this.strategy}. Use one of: ${STRATEGIES.join(', ')}`);
+    }
+    this.healthInterval = options.healthInterval ||
+      parseInt(process.env.REDIRECTOR_HEALTH_INTERVAL, 10) || 5000;
+
+    this.instances = [];
+    this.nextIndex = 0;
+    this.probeTimer = null;
+
+    const urls = options.urls || (process.env.REDIRECTOR_URLS || process.env.REDIRECTOR_URL || 'http://localhost:3001')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    this.setInstances(urls);
+  }
+
+  // Replace the instance list, keeping the state of instances that remain.
+  // New instances are assumed healthy: the autopilot only registers instances
+  // that have started. Remaining instances that were out of rotation are
+  // probed straight away rather than at the next interval.
+  setInstances(urls) {
+    const previous = new Map(this.instances.map(instance => [instance.url, instance]));
+    this.instances = [...new Set(urls.map(normalizeUrl))].map(url => previous.get(url) || {
+      url,
+      healthy: true,
+      activeConnections: 0,
+      requests: 0,
+      failures: 0,
+      lastError: null,
+      checkedAt: null
+    });
+    this.instances
+      .filter(instance => !instance.healthy)
+      .forEach(instance => this.probe(instance));
+    return this.list();
+  }
+
+  // Choose a healthy instance, skipping any in exclude. Returns null if none is left.
+  pick(exclude = []) {
+    const candidates = this.instances.filter(instance => instance.healthy && !exclude.includes(instance));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (this.strategy === 'least-connections') {
+      return candidates.reduce((best, instance) =>
+        instance.activeConnections < best.activeConnections ? instance : best
+      );
+    }
+
+    const instance = candidates[this.nextIndex % candidates.length];
+    this.nextIndex = (this.nextIndex + 1) % candidates.length;
+    return instance;
+  }
+
+  // Track a proxied request for least-connections; returns the release function
+  acquire(instance) {
+    instance.activeConnections++;
+    instance.requests++;
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        instance.activeConnections--;
+      }
+    };
+  }
+
+  markUnhealthy(instance, error) {
+    if (instance.healthy) {
+      console.warn(`Redirector ${instance.url} taken out of rotation: ${error.message}`);
+    }
+    instance.healthy = false;
+    instance.failures++;
+    instance.lastError = error.message;
+  }
+
+  // Probe one instance's /health endpoint
+  probe(instance) {
+    return new Promise((resolve) => {
+      const request = http.get(`${instance.url}/health`, { timeout: HEALTH_TIMEOUT }, (response) => {
+        response.resume();
+        if (response.statusCode === 200) {
+          if (!instance.healthy) {
+            console.log(`Redirector ${instance.url} is healthy again`);
+          }
+          instance.healthy = true;
+          instance.lastError = null;
+        } else {
+          this.markUnhealthy(instance, new Error(`/health returned ${response.statusCode}`));
+        }
+        instance.checkedAt = new Date().toISOString();
+        resolve();
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`/health did not respond within ${HEALTH_TIMEOUT}ms`));
+      });
+      request.on('error', (error) => {
+        this.markUnhealthy(instance, error);
+        instance.checkedAt = new Date().toISOString();
+        resolve();
+      });
+    });
+  }
+
+  startHealthChecks() {
+    this.probeTimer = setInterval(() => {
+      this.instances.forEach(instance => this.probe(instance));
+    }, this.healthInterval);
+    this.probeTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.probeTimer);
+  }
+
+  // Instance state for /api/health and the internal API
+  list() {
+    return this.instances.map(({ url, healthy, activeConnections, requests, failures, lastError, checkedAt }) => ({
+      url, healthy, activeConnections, requests, failures, lastError, checkedAt
+    }));
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  RedirectorBalancer
+};
@@ -0,0 +1,226 @@
+// Morphlink redirector pool
+// The redirector microservice processes run by the autopilot. Each worker
+// listens on its own port in [portBase, portBase + maxWorkers); new workers
+// take the lowest free port and the newest worker is the first to go.
+// A worker only joins the pool once its /health endpoint answers as the
+// process that was spawned, so a port held by something else never passes
+// for a started worker. A ready worker that exits without being stopped is
+// reported to onCrash.
+
+const { spawn } = require('child_process');
+const axios = require('axios');
+
+// Time given to a worker to exit after SIGTERM before it is killed
+const STOP_TIMEOUT = 5000;
+
+// Time allowed for a single /health request
+const HEALTH_TIMEOUT = 1000;
+
+// Pause between /health polls while waiting for a worker to be ready
+const READY_POLL_INTERVAL = 250;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The /health body of a redirector, or null if it does not answer with 200
+async function fetchHealth(url) {
+  try {
+    const response = await axios.get(`${url}/health`, { timeout: HEALTH_TIMEOUT });
+    return response.data;
+  } catch (error) {
+    return null;
+  }
+}
+
+class RedirectorPool {
+  // readyTimeoutMs - how long a new worker has to answer /health
+  // onCrash        - called with (worker) when a ready worker exits unexpectedly
+  constructor({ script, host, portBase, maxWorkers, readyTimeoutMs, onCrash }) {
+    this.script = script;
+    this.host = host;
+    this.portBase = portBase;
+    this.maxWorkers = maxWorkers;
+    this.readyTimeoutMs = readyTimeoutMs;
+    this.onCrash = onCrash;
+    this.workers = []; // [{ port, url, process, startedAt, ready, stopping, exitReason }], oldest first
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  urls() {
+    return this.workers.map(worker => worker.url);
+  }
+
+  // Lowest port in the range that is neither used by one of our workers nor
+  // taken by another process
+  async findFreePort() {
+    const taken = [];
+    for (let port = this.portBase; port < this.portBase + this.maxWorkers; port++) {
+      if (this.workers.some(worker => worker.port === port)) {
+        continue;
+      }
+      const occupant = await this.checkPort(port);
+      if (!occupant) {
+        return port;
+      }
+      console.warn(`⚠️  Port ${port} is taken: ${occupant}`);
+      taken.push(port);
+    }
+
+    if (taken.length > 0) {
+      throw new Error(`No free port for another worker (taken by other processes: ${taken.join(', ')})`);
+    }
+    throw new Error(`The pool is full (${this.maxWorkers} workers)`);
+  }
+
+  // Describe whatever is listening on a port, or null if nothing is
+  async checkPort(port) {
+    try {
+      const response = await axios.get(`http://${this.host}:${port}/health`, {
+        timeout: HEALTH_TIMEOUT,
+        validateStatus: () => true
+      });
+      if (response.data && response.data.service === 'redirector-microservice') {
+        return `a redirector is already running there (pid ${response.data.pid ?? 'unknown'})`;
+      }
+      return `another service answered /health with HTTP ${response.status}`;
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        return null;
+      }
+      return `something is listening but /health failed (${error.message})`;
+    }
+  }
+
+  // Spawn one more worker and wait until it is ready; resolves with the worker.
+  // A worker that never becomes ready is stopped and the promise rejects.
+  async startWorker() {
+    const worker = this.spawnWorker(await this.findFreePort());
+
+    try {
+      await this.waitUntilReady(worker);
+    } catch (error) {
+      this.stopWorker(worker);
+      throw error;
+    }
+    return worker;
+  }
+
+  spawnWorker(port) {
+    console.log(`🔄 Spawning redirector worker on port ${port}...`);
+    const worker = {
+      port,
+      url: `http://${this.host}:${port}`,
+      process: spawn('node', [this.script], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: false,
+        env: { ...process.env, REDIRECTOR_PORT: String(port) }
+      }),
+      startedAt: new Date().toISOString(),
+      ready: false,
+      stopping: false,
+      exitReason: null
+    };
+    this.workers.push(worker);
+
+    worker.process.stdout.on('data', (data) => {
+      console.log(`[Redirector :${port}] ${data.toString().trim()}`);
+    });
+
+    worker.process.stderr.on('data', (data) => {
+      console.error(`[Redirector :${port} Error] ${data.toString().trim()}`);
+    });
+
+    worker.process.on('exit', (code, signal) => {
+      console.log(`🔄 Redirector worker on port ${port} exited with code ${code}, signal ${signal}`);
+      worker.exitReason = `exited with code ${code}, signal ${signal}`;
+      this.remove(worker);
+
+      // Exits before readiness are reported by waitUntilReady instead
+      if (worker.ready && !worker.stopping && this.onCrash) {
+        this.onCrash(worker);
+      }
+    });
+
+    worker.process.on('error', (error) => {
+      console.error(`❌ Failed to start redirector worker on port ${port}:`, error.message);
+      worker.exitReason = error.message;
+      this.remove(worker);
+    });
+
+    return worker;
+  }
+
+  // Poll the worker's /health until it answers with the spawned process's pid
+  async waitUntilReady(worker) {
+    const started = Date.now();
+    const deadline = started + this.readyTimeoutMs;
+
+    while (Date.now() < deadline) {
+      if (worker.exitReason) {
+        throw new Error(`Redirector worker on port ${worker.port} ${worker.exitReason} before it was ready`);
+      }
+
+      const health = await fetchHealth(worker.url);
+      if (health && health.pid === worker.process.pid) {
+        worker.ready = true;
+        console.log(`✅ Redirector worker on port ${worker.port} ready after ${Date.now() - started}ms`);
+        return;
+      }
+      if (health) {
+        throw new Error(`Port ${worker.port} is answered by another redirector (pid ${health.pid ?? 'unknown'})`);
+      }
+
+      await sleep(READY_POLL_INTERVAL);
+    }
+
+    throw new Error(`Redirector worker on port ${worker.port} was not ready within ${this.readyTimeoutMs}ms`);
+  }
+
+  remove(worker) {
+    this.workers = this.workers.filter(other => other !== worker);
+  }
+
+  newest() {
+    return this.workers[this.workers.length - 1] || null;
+  }
+
+  // Terminate a worker (SIGTERM, then SIGKILL if it does not exit in time)
+  stopWorker(worker) {
+    console.log(`🛑 Terminating redirector worker on port ${worker.port}...`);
+    worker.stopping = true;
+    this.remove(worker);
+
+    try {
+      worker.process.kill('SIGTERM');
+
+      const forceKill = setTimeout(() => {
+        if (worker.process.exitCode === null && worker.process.signalCode === null) {
+          console.log(`⚡ Force killing redirector worker on port ${worker.port}...`);
+          worker.process.kill('SIGKILL');
+        }
+      }, STOP_TIMEOUT);
+      forceKill.unref();
+    } catch (error) {
+      console.error(`❌ Error stopping redirector worker on port ${worker.port}:`, error.message);
+    }
+  }
+
+  stopAll() {
+    [...this.workers].forEach(worker => this.stopWorker(worker));
+  }
+
+  // Worker details for AutopilotSystem.getStatus
+  list() {
+    return this.workers.map(({ port, url, process, startedAt }) => ({
+      port, url, pid: process.pid, startedAt
+    }));
+  }
+}
+
+module.exports = {
+  RedirectorPool
+};
@@ -2,25 +2,53 @@
 // Standalone microservice for handling URL redirects
 // Runs on port 3001 and contains only redirector logic
 
+// The microservice joins a system whose monolith is already appending to the
+// shared data log, so it must not compact (rewrite) that log on startup
+if (process.env.MORPHLINK_COMPACT_ON_START === undefined) {
+  process.env.MORPHLINK_COMPACT_ON_START = 'false';
+}
+
 const express = require('express');
 const database = require('./database');
+const { getClickContext } = require('./click-context');
+const { getExpiryReason, sendGone } = require('./link-expiry');
+const { parseShortCodeParam, shouldPreview, sendPreview } = require('./link-preview');
+const { LoadTracker } = require('./load-metrics');
+const { rateLimit, loadLimits, createRedirectBucketStore } = require('./rate-limit');
 
 const app = express();
 const PORT = process.env.REDIRECTOR_PORT || 3001;
 
+// Redirect rates and latency, merged with the monolith's for /health
+const loadTracker = new LoadTracker({ service: 'microservice' });
+
 // Middleware
 app.use(express.json());
 
+// Requests proxied by the monolith arrive from loopback with X-Forwarded-For
+// set, so trust it from there to see the visitor's real address
+app.set('trust proxy', 'loopback');
+
+// Per-link redirect limit (per process unless RATE_LIMIT_REDIRECTS_STORE=file)
+const redirectRateLimit = rateLimit({
+  name: 'redirects',
+  limit: loadLimits().redirects,
+  key: (req) => parseShortCodeParam(req.params.shortCode).shortCode,
+  store: createRedirectBucketStore(),
+  body: { service: 'microservice' }
+});
+
 // =============================================================================
 // REDIRECTOR MICROSERVICE LOGIC
 // =============================================================================
 
 // Asynchronous analytics logging function (same as monolith)
-function logClick(shortCode) {
+// context is captured from the request before the response is sent
+function logClick(shortCode, context) {
   // This runs asynchronously and doesn't block the redirect
   setImmediate(() => {
     try {
-      database.logClick(shortCode);
+      database.logClick(shortCode, context);
       console.log(`[Microservice] Analytics: Click logged for ${shortCode} at ${new Date().toISOString()}`);
     } catch (error) {
       console.error('[Microservice] Analytics error:', error);
@@ -28,55 +56,21 @@ function logClick(shortCode) {
   });
 }
 
-// Short URL redirect endpoint (microservice version)
-app.get('/:shortCode', (req, res) => {
-  try {
-    const { shortCode } = req.params;
-    
-    console.log(`[Microservice] Processing redirect for: ${shortCode}`);
-    
-    // Increment load counter (shared with monolith)
-    database.incrementLoad();
-    
-    // Find the link in shared database
-    const link = database.findLinkByShortCode(shortCode);
-    
-    if (!link) {
-      console.log(`[Microservice] Short URL not found: ${shortCode}`);
-      return res.status(404).json({ 
-        error: 'Short URL not found',
-        service: 'microservice'
-      });
-    }
-    
-    // Log analytics asynchronously (non-blocking)
-    logClick(shortCode);
-    
-    console.log(`[Microservice] Redirecting ${shortCode} -> ${link.longUrl}`);
-    
-    // Perform redirect
-    res.redirect(302, link.longUrl);
-  } catch (error) {
-    console.error('[Microservice] Redirect error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      service: 'microservice'
-    });
-  }
-});
-
 // Health check endpoint for the microservice
 app.get('/health', (req, res) => {
   try {
-    const currentLoad = database.getCurrentLoad();
+    const metrics = loadTracker.snapshot();
     
     res.json({
       service: 'redirector-microservice',
       status: 'active',
-      load: currentLoad,
+      load: metrics.windows['1m'].requests,
+      metrics,
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
-      port: PORT
+      port: PORT,
+      // Lets the autopilot tell its own worker from another process on this port
+      pid: process.pid
     });
   } catch (error) {
     res.status(500).json({ 
@@ -95,11 +89,67 @@ app.get('/', (req, res) => {
     port: PORT,
     endpoints: {
       redirect: '/:shortCode',
+      preview: '/:shortCode+',
       health: '/health'
     }
   });
 });
 
+// Short URL redirect endpoint (microservice version)
+// Registered after /health and / so those paths are never read as short codes
+// Count every redirect and its latency (reported together with the monolith's),
+// including the ones the rate limit rejects
+function trackRedirect(req, res, next) {
+  loadTracker.trackRequest(res);
+  next();
+}
+
+app.get('/:shortCode', trackRedirect, redirectRateLimit, (req, res) => {
+  try {
+    const { shortCode, preview } = parseShortCodeParam(req.params.shortCode);
+    
+    console.log(`[Microservice] Processing redirect for: ${shortCode}`);
+    
+    // Find the link in the shared data store
+    const link = database.findLinkByShortCode(shortCode);
+    
+    if (!link) {
+      console.log(`[Microservice] Short URL not found: ${shortCode}`);
+      return res.status(404).json({ 
+        error: 'Short URL not found',
+        service: 'microservice'
+      });
+    }
+    
+    // Expired links and links out of clicks are gone for good
+    const expiryReason = getExpiryReason(link);
+    if (expiryReason) {
+      console.log(`[Microservice] Short URL unavailable (${expiryReason}): ${shortCode}`);
+      return sendGone(res, link, expiryReason, { service: 'microservice' });
+    }
+    
+    // Interstitial links and the "+" suffix show a preview page instead
+    if (shouldPreview(link, req, preview)) {
+      console.log(`[Microservice] Showing preview for ${shortCode}`);
+      return sendPreview(res, link, { service: 'microservice' });
+    }
+    
+    // Log analytics asynchronously (non-blocking)
+    logClick(link.shortCode, getClickContext(req));
+    
+    console.log(`[Microservice] Redirecting ${shortCode} -> ${link.longUrl}`);
+    
+    // Perform redirect
+    res.redirect(302, link.longUrl);
+  } catch (error) {
+    console.error('[Microservice] Redirect error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      service: 'microservice'
+    });
+  }
+});
+
 // =============================================================================
 // ERROR HANDLING
 // =============================================================================
@@ -128,12 +178,25 @@ app.use('*', (req, res) => {
 
 // Start microservice server
 if (require.main === module) {
+  if (database.store.name === 'memory') {
+    console.warn('⚠️  Memory storage is not shared between processes: links created by the monolith will not resolve here');
+  }
+
   const server = app.listen(PORT, () => {
     console.log(`🔄 Morphlink Redirector Microservice running on http://localhost:${PORT}`);
     console.log(`💚 Microservice health: http://localhost:${PORT}/health`);
     console.log(`🎯 Ready to handle redirects on port ${PORT}`);
   });
   
+  server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`❌ Port ${PORT} is already in use (is another redirector running?)`);
+    } else {
+      console.error('❌ Redirector Microservice failed to start:', error.message);
+    }
+    process.exit(1);
+  });
+  
   // Graceful shutdown
   process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down Redirector Microservice...');
@@ -0,0 +1,165 @@
+// Morphlink scaling policies
+// Decide when the autopilot should add or remove redirect capacity.
+//
+// A policy looks at one health sample at a time and returns a signal:
+//   'up'   - more capacity is needed
+//   'down' - capacity can be released
+//   'hold' - stay as we are
+// Every policy has separate scale-up and scale-down thresholds; samples that
+// fall between them hold, so the system does not flap around a single number.
+// The ScalingController then only acts on a signal once it has been seen for
+// several consecutive samples and the current size has been kept long enough.
+//
+// Samples look like { load, rps, p95 } (see AutopilotSystem.readSample).
+// To add a policy, implement evaluate(sample) and describe() and register
+// the class in POLICIES.
+
+class ThresholdPolicy {
+  constructor({ scaleUpLoad, scaleDownLoad }) {
+    if (scaleDownLoad >= scaleUpLoad) {
+      throw new Error('The scale-down load must be below the scale-up load');
+    }
+    this.name = 'threshold';
+    this.scaleUpLoad = scaleUpLoad;
+    this.scaleDownLoad = scaleDownLoad;
+  }
+
+  evaluate(sample) {
+    if (sample.load > this.scaleUpLoad) return 'up';
+    if (sample.load < this.scaleDownLoad) return 'down';
+    return 'hold';
+  }
+
+  describe() {
+    return `load > ${this.scaleUpLoad} scales up, load < ${this.scaleDownLoad} scales down`;
+  }
+}
+
+// Threshold policy applied to the average load of the last few samples, so a
+// single burst or lull does not count for much
+class MovingAveragePolicy extends ThresholdPolicy {
+  constructor({ movingAverageSamples, ...thresholds }) {
+    super(thresholds);
+    this.name = 'moving-average';
+    this.size = movingAverageSamples;
+    this.recent = [];
+  }
+
+  evaluate(sample) {
+    this.recent.push(sample.load);
+    if (this.recent.length > this.size) {
+      this.recent.shift();
+    }
+    const average = this.recent.reduce((total, load) => total + load, 0) / this.recent.length;
+    return super.evaluate({ ...sample, load: average });
+  }
+
+  describe() {
+    return `average load of ${this.size} samples > ${this.scaleUpLoad} scales up, < ${this.scaleDownLoad} scales down`;
+  }
+}
+
+// Scale on p95 redirect latency. Without traffic there is no latency, which
+// counts as a reason to scale down.
+class LatencyPolicy {
+  constructor({ scaleUpP95, scaleDownP95 }) {
+    if (scaleDownP95 >= scaleUpP95) {
+      throw new Error('The scale-down latency must be below the scale-up latency');
+    }
+    this.name = 'latency';
+    this.scaleUpP95 = scaleUpP95;
+    this.scaleDownP95 = scaleDownP95;
+  }
+
+  evaluate(sample) {
+    if (sample.p95 === null) return 'down';
+    if (sample.p95 > this.scaleUpP95) return 'up';
+    if (sample.p95 < this.scaleDownP95) return 'down';
+    return 'hold';
+  }
+
+  describe() {
+    return `p95 > ${this.scaleUpP95}ms scales up, p95 < ${this.scaleDownP95}ms scales down`;
+  }
+}
+
+const POLICIES = {
+  threshold: ThresholdPolicy,
+  'moving-average': MovingAveragePolicy,
+  latency: LatencyPolicy
+};
+
+function createPolicy(name, options) {
+  const Policy = POLICIES[name];
+  if (!Policy) {
+    throw new Error(`Unknown scaling policy: ${name}. Use one of: ${Object.keys(POLICIES).join(', ')}`);
+  }
+  return new Policy(options);
+}
+
+// Turns policy signals into scaling actions.
+//   confirmUp, confirmDown  - consecutive samples needed before acting
+//   dwellUpMs, dwellDownMs  - time the current size must be kept before growing / shrinking
+//   cooldownMs              - wait after a failed attempt before trying again
+class ScalingController {
+  constructor({ policy, confirmUp, confirmDown, dwellUpMs, dwellDownMs, cooldownMs }) {
+    this.policy = policy;
+    this.confirm = { up: confirmUp, down: confirmDown };
+    this.dwellMs = { up: dwellUpMs, down: dwellDownMs };
+    this.cooldownMs = cooldownMs;
+
+    this.streak = { signal: 'hold', count: 0 };
+    this.lastChangeAt = 0; // Last successful scale in either direction
+    this.lastFailureAt = 0;
+  }
+
+  // Evaluate one sample. canScale says which directions are possible right now.
+  // Returns { signal, action, reason } where action is 'up', 'down' or null.
+  decide(sample, canScale, now = Date.now()) {
+    const signal = this.policy.evaluate(sample);
+
+    if (signal === this.streak.signal) {
+      this.streak.count++;
+    } else {
+      this.streak = { signal, count: 1 };
+    }
+
+    if (signal === 'hold') {
+      return { signal, action: null, reason: 'within thresholds' };
+    }
+    if (!canScale[signal]) {
+      return { signal, action: null, reason: signal === 'up' ? 'already at maximum' : 'already at minimum' };
+    }
+    if (this.streak.count < this.confirm[signal]) {
+      return { signal, action: null, reason: `confirming (${this.streak.count}/${this.confirm[signal]} samples)` };
+    }
+
+    const dwellLeft = this.lastChangeAt + this.dwellMs[signal] - now;
+    if (dwellLeft > 0) {
+      return { signal, action: null, reason: `dwelling (${Math.ceil(dwellLeft / 1000)}s left)` };
+    }
+    const cooldownLeft = this.lastFailureAt + this.cooldownMs - now;
+    if (cooldownLeft > 0) {
+      return { signal, action: null, reason: `cooling down after a failure (${Math.ceil(cooldownLeft / 1000)}s left)` };
+    }
+
+    return { signal, action: signal, reason: `${this.streak.count} consecutive samples` };
+  }
+
+  // Report the outcome of an action returned by decide
+  recordResult(succeeded, now = Date.now()) {
+    if (succeeded) {
+      this.lastChangeAt = now;
+    } else {
+      this.lastFailureAt = now;
+    }
+    // The next action needs fresh confirmation
+    this.streak = { signal: 'hold', count: 0 };
+  }
+}
+
+module.exports = {
+  POLICIES,
+  createPolicy,
+  ScalingController
+};
@@ -0,0 +1,109 @@
+// Morphlink sessions
+// Each login creates a server-side session. Clients hold a short-lived JWT
+// access token (carrying the session id) and a long-lived opaque refresh
+// token that is rotated on every use. Revoking the session invalidates both.
+//
+// Configuration (environment variables):
+//   ACCESS_TOKEN_TTL        - access token lifetime, jsonwebtoken format (default '15m')
+//   REFRESH_TOKEN_TTL_DAYS  - refresh token / session lifetime in days (default 30)
+
+const crypto = require('crypto');
+const { parseUserAgent, anonymizeIp } = require('./click-context');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Presenting the previous refresh token this soon after a rotation is treated
+// as a race between two tabs rather than token theft
+const REUSE_GRACE_MS = 10000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Refresh tokens look like "<sessionId>.<random secret>"
+function issueRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function isSessionActive(session, now = new Date()) {
+  return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+// Start a new session for a user who just logged in or signed up.
+// Returns { session, refreshToken }.
+function createSession(database, user, req) {
+  const userAgent = req.get('user-agent') || null;
+  const { browser, os, device } = parseUserAgent(userAgent);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const session = database.addSession({
+    userId: user.id,
+    device: `${browser} on ${os}`,
+    deviceType: device,
+    ip: anonymizeIp(req.ip),
+    expiresAt: expiresAt.toISOString()
+  });
+
+  const refreshToken = issueRefreshToken(session.id);
+  database.updateSession(session.id, { refreshTokenHash: hashToken(refreshToken) });
+  return { session, refreshToken };
+}
+
+// Exchange a refresh token for a new one.
+// Returns { error } or { session, refreshToken }.
+function rotateRefreshToken(database, refreshToken) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  const session = database.findSessionById(Number(sessionId));
+
+  if (!isSessionActive(session)) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  if (tokenHash !== session.refreshTokenHash) {
+    const rotatedRecently = session.rotatedAt &&
+      Date.now() - new Date(session.rotatedAt).getTime() < REUSE_GRACE_MS;
+
+    // An old token showing up again means it may have been stolen
+    if (tokenHash === session.previousTokenHash && !rotatedRecently) {
+      database.revokeSession(session.id, 'refresh_token_reuse');
+      console.warn(`Auth: refresh token reuse detected, revoked session ${session.id}`);
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const nextToken = issueRefreshToken(session.id);
+  database.updateSession(session.id, {
+    refreshTokenHash: hashToken(nextToken),
+    previousTokenHash: tokenHash,
+    rotatedAt: new Date().toISOString(),
+    lastUsedAt: new Date().toISOString()
+  });
+
+  return { session, refreshToken: nextToken };
+}
+
+// Session details safe to return to the client
+function toPublicSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    device: session.device,
+    deviceType: session.deviceType,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  toPublicSession
+};
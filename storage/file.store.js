@@ -0,0 +1,203 @@
+// Morphlink append-only file store
+// Persists every operation as one JSON line. On startup the log is replayed,
+// migrated to the current schema version and compacted into a fresh snapshot.
+//
+// Several processes (the monolith and the redirector microservice) can share
+// one log file: each appends its own operations and tails the file for the
+// operations written by the others (see poll()).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  SCHEMA_VERSION,
+  migrate,
+  applyOperation
+} = require('./schema');
+
+class FileStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.filePath;
+    this.compactOnLoad = options.compactOnLoad !== false;
+
+    // Identifies the operations this process wrote so poll() can skip them
+    this.writerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+    // Position in the log up to which operations have been applied
+    this.offset = 0;
+    this.inode = null;
+
+    if (!this.filePath) {
+      throw new Error('FileStore requires a filePath');
+    }
+  }
+
+  // Load the data set from disk, creating the log file if it does not exist
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) {
+      this.writeHeader();
+    }
+
+    const { data, version } = this.readLog();
+
+    // Upgrade to the current schema, then rewrite the log as a compact snapshot.
+    // A migrated log is always rewritten so new operations match its header.
+    if (version < SCHEMA_VERSION) {
+      console.log(`Storage: migrating ${this.filePath} from schema v${version} to v${SCHEMA_VERSION}`);
+      migrate(data, version, SCHEMA_VERSION);
+      this.compact(data);
+    } else if (this.compactOnLoad) {
+      this.compact(data);
+    }
+
+    return data;
+  }
+
+  // Pick up operations appended by other processes since the last call.
+  // Returns null when nothing changed, { operations } for new log entries, or
+  // { data } with a full reload when the log was compacted by another process.
+  poll() {
+    let stats;
+    try {
+      stats = fs.statSync(this.filePath);
+    } catch {
+      return null;
+    }
+
+    if (stats.ino !== this.inode || stats.size < this.offset) {
+      const { data, version } = this.readLog();
+      return { data: migrate(data, version, SCHEMA_VERSION) };
+    }
+
+    if (stats.size === this.offset) {
+      return null;
+    }
+
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(stats.size - this.offset);
+      const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+      const chunk = buffer.subarray(0, bytesRead);
+
+      // Leave a partially written last line for the next poll
+      const end = chunk.lastIndexOf('\n') + 1;
+      this.offset += end;
+
+      const operations = chunk.subarray(0, end).toString('utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => this.parseLine(line))
+        .filter(operation => operation && operation.writer !== this.writerId);
+
+      return { operations };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Append an operation that has already been applied in memory
+  append(operation) {
+    const line = JSON.stringify({ ...operation, writer: this.writerId });
+    fs.appendFileSync(this.filePath, line + '\n');
+  }
+
+  // Rewrite the log so it contains only the current state
+  compact(data) {
+    const lines = [JSON.stringify({ type: 'schema', version: SCHEMA_VERSION })];
+
+    for (const [collection, records] of Object.entries(data)) {
+      // Analytics are written last because replaying them rebuilds click counts
+      if (collection === 'analytics') continue;
+
+      for (const record of records) {
+        const snapshot = collection === 'links' ? { ...record, clicks: 0 } : record;
+        lines.push(JSON.stringify({ op: 'insert', collection, record: snapshot }));
+      }
+    }
+
+    for (const record of data.analytics) {
+      lines.push(JSON.stringify({ op: 'insert', collection: 'analytics', record }));
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written log
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines.join('\n') + '\n');
+    fs.renameSync(tempPath, this.filePath);
+
+    const stats = fs.statSync(this.filePath);
+    this.inode = stats.ino;
+    this.offset = stats.size;
+  }
+
+  // Release any resources held by the store
+  close() {}
+
+  // Replay the whole log file against the schema version it was written with
+  readLog() {
+    const fd = fs.openSync(this.filePath, 'r');
+    let contents;
+    try {
+      const stats = fs.fstatSync(fd);
+      const buffer = Buffer.alloc(stats.size);
+      const bytesRead = fs.readSync(fd, buffer, 0, stats.size, 0);
+      contents = buffer.subarray(0, bytesRead).toString('utf8');
+      this.inode = stats.ino;
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Only complete lines are replayed; a line still being written is read by poll()
+    const end = contents.lastIndexOf('\n') + 1;
+    this.offset = Buffer.byteLength(contents.slice(0, end));
+
+    const lines = contents.slice(0, end).split('\n');
+    const header = this.parseLine(lines[0]);
+
+    if (!header || header.type !== 'schema') {
+      throw new Error(`${this.filePath} is not a Morphlink data file`);
+    }
+
+    if (header.version > SCHEMA_VERSION) {
+      throw new Error(
+        `${this.filePath} uses schema version ${header.version}, ` +
+        `but this build only supports up to ${SCHEMA_VERSION}`
+      );
+    }
+
+    const data = migrate({}, 0, header.version);
+    for (let i = 1; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+
+      const operation = this.parseLine(lines[i]);
+      if (!operation) {
+        // A torn line is expected after a crash mid-write
+        console.warn(`Storage: skipping unreadable line ${i + 1} in ${this.filePath}`);
+        continue;
+      }
+      applyOperation(data, operation);
+    }
+
+    return { data, version: header.version };
+  }
+
+  // Write the schema header for a brand new log file
+  writeHeader() {
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ type: 'schema', version: SCHEMA_VERSION }) + '\n'
+    );
+  }
+
+  parseLine(line) {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = FileStore;
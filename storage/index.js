@@ -0,0 +1,41 @@
+// Morphlink storage factory
+// Selects the storage backend used by the Database singleton.
+//
+// Configuration (environment variables):
+//   MORPHLINK_STORAGE    - 'file' (default) or 'memory'
+//   MORPHLINK_DATA_FILE  - path of the append-only log used by the file store
+//   MORPHLINK_COMPACT_ON_START - 'false' to skip compacting the log on startup
+//                          (processes joining an already running system must
+//                          not rewrite the log other processes are appending to)
+
+const path = require('path');
+const MemoryStore = require('./memory.store');
+const FileStore = require('./file.store');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'morphlink.log');
+
+function createStore(options = {}) {
+  const driver = options.driver || process.env.MORPHLINK_STORAGE || 'file';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+
+    case 'file':
+      return new FileStore({
+        filePath: options.filePath || process.env.MORPHLINK_DATA_FILE || DEFAULT_DATA_FILE,
+        compactOnLoad: options.compactOnLoad !== undefined
+          ? options.compactOnLoad
+          : process.env.MORPHLINK_COMPACT_ON_START !== 'false'
+      });
+
+    default:
+      throw new Error(`Unknown storage driver: ${driver}. Use "file" or "memory".`);
+  }
+}
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  FileStore
+};
@@ -0,0 +1,28 @@
+// Morphlink in-memory store
+// Keeps nothing on disk; all data is lost when the process exits
+
+const { createEmptyData } = require('./schema');
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  // Load the initial data set (always empty for the memory store)
+  load() {
+    return createEmptyData();
+  }
+
+  // Changes from other processes (the memory store is never shared)
+  poll() {
+    return null;
+  }
+
+  // Persist an operation that has already been applied in memory (no-op)
+  append(operation) {}
+
+  // Release any resources held by the store
+  close() {}
+}
+
+module.exports = MemoryStore;
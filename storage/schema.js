@@ -0,0 +1,234 @@
+// Morphlink storage schema
+// Defines the collections every store must provide, the migrations that bring
+// older data up to date, and how logged operations are applied to the data
+
+// Current schema version written by every store
+const SCHEMA_VERSION = 14;
+
+// Ordered list of migrations. Each one upgrades data from (version - 1) to version.
+// Add new entries at the end and bump SCHEMA_VERSION; never edit old ones.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create users, links and analytics collections',
+    up(data) {
+      data.users = data.users || [];
+      data.links = data.links || [];
+      data.analytics = data.analytics || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Flag links whose short code is a custom alias',
+    up(data) {
+      for (const link of data.links) {
+        link.customAlias = link.customAlias || false;
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Add expiry date, click budget and archive fields to links',
+    up(data) {
+      for (const link of data.links) {
+        link.expiresAt = link.expiresAt || null;
+        link.maxClicks = link.maxClicks || null;
+        link.archivedAt = link.archivedAt || null;
+        link.archiveReason = link.archiveReason || null;
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Add link title/description and the linkRevisions collection',
+    up(data) {
+      for (const link of data.links) {
+        link.title = link.title || null;
+        link.description = link.description || null;
+      }
+      data.linkRevisions = data.linkRevisions || [];
+    }
+  },
+  {
+    version: 5,
+    description: 'Add referrer, browser, device, language and geo fields to click events',
+    up(data) {
+      for (const event of data.analytics) {
+        event.referrer = event.referrer || null;
+        event.referrerHost = event.referrerHost || null;
+        event.browser = event.browser || 'Unknown';
+        event.os = event.os || 'Unknown';
+        event.device = event.device || 'unknown';
+        event.language = event.language || null;
+        event.country = event.country || null;
+        event.ip = event.ip || null;
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Add roles to users',
+    up(data) {
+      for (const user of data.users) {
+        user.role = user.role || 'user';
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Create the sessions collection',
+    up(data) {
+      data.sessions = data.sessions || [];
+    }
+  },
+  {
+    version: 8,
+    description: 'Track email verification and create the accountTokens collection',
+    up(data) {
+      for (const user of data.users) {
+        user.emailVerifiedAt = user.emailVerifiedAt || null;
+      }
+      data.accountTokens = data.accountTokens || [];
+    }
+  },
+  {
+    version: 9,
+    description: 'Create the apiKeys collection',
+    up(data) {
+      data.apiKeys = data.apiKeys || [];
+    }
+  },
+  {
+    version: 10,
+    description: 'Add tags to links',
+    up(data) {
+      for (const link of data.links) {
+        link.tags = link.tags || [];
+      }
+    }
+  },
+  {
+    version: 11,
+    description: 'Add folders to links',
+    up(data) {
+      for (const link of data.links) {
+        link.folder = link.folder || null;
+      }
+    }
+  },
+  {
+    version: 12,
+    description: 'Create the blockedDomains collection',
+    up(data) {
+      data.blockedDomains = data.blockedDomains || [];
+    }
+  },
+  {
+    version: 13,
+    description: 'Add interstitial preview mode to links',
+    up(data) {
+      for (const link of data.links) {
+        link.interstitial = link.interstitial || false;
+      }
+    }
+  },
+  {
+    version: 14,
+    description: 'Keep the short codes of renamed links reserved',
+    up(data) {
+      for (const link of data.links) {
+        link.previousShortCodes = link.previousShortCodes || [];
+      }
+    }
+  }
+];
+
+// Run every migration newer than fromVersion (up to toVersion) against data
+function migrate(data, fromVersion = 0, toVersion = SCHEMA_VERSION) {
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion && migration.version <= toVersion) {
+      migration.up(data);
+    }
+  }
+  return data;
+}
+
+// Build an empty data set at the current schema version
+function createEmptyData() {
+  return migrate({});
+}
+
+// Apply a single logged operation to the data set.
+// Operations look like:
+//   { op: 'insert', collection, record }
+//   { op: 'update', collection, id, changes }
+//   { op: 'delete', collection, id }
+function applyOperation(data, operation) {
+  const collection = data[operation.collection];
+  if (!collection) {
+    throw new Error(`Unknown collection: ${operation.collection}`);
+  }
+
+  switch (operation.op) {
+    case 'insert': {
+      collection.push(operation.record);
+
+      // Click counters are derived from the analytics log so that every
+      // writer only ever appends events and never races on the counter
+      if (operation.collection === 'analytics') {
+        const link = data.links.find(l => l.shortCode === operation.record.shortCode);
+        if (link) {
+          link.clicks++;
+        }
+      }
+      return operation.record;
+    }
+
+    case 'update': {
+      const record = collection.find(item => item.id === operation.id);
+      if (!record) {
+        return null;
+      }
+
+      // Changing a link's short code carries its click history along
+      const { shortCode } = operation.changes;
+      if (operation.collection === 'links' && shortCode && shortCode !== record.shortCode) {
+        for (const event of data.analytics) {
+          if (event.shortCode === record.shortCode) {
+            event.shortCode = shortCode;
+          }
+        }
+      }
+
+      Object.assign(record, operation.changes);
+      return record;
+    }
+
+    case 'delete': {
+      const index = collection.findIndex(item => item.id === operation.id);
+      if (index === -1) {
+        return null;
+      }
+      const [removed] = collection.splice(index, 1);
+
+      // Deleting a link drops its click and revision history so a reused
+      // short code never inherits clicks from the link it replaces
+      if (operation.collection === 'links') {
+        data.analytics = data.analytics.filter(event => event.shortCode !== removed.shortCode);
+        data.linkRevisions = data.linkRevisions.filter(revision => revision.linkId !== removed.id);
+      }
+      return removed;
+    }
+
+    default:
+      throw new Error(`Unknown operation: ${operation.op}`);
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  migrate,
+  createEmptyData,
+  applyOperation
+};
@@ -0,0 +1,63 @@
+// CSV parsing and bulk request bodies (bulk-import.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BULK_MAX_ROWS, parseCsv, rowsFromCsv, parseBulkBody } = require('../bulk-import');
+
+// Just enough of an Express request for parseBulkBody
+function request(body, contentType = 'application/json') {
+  return { body, is: (type) => type === contentType };
+}
+
+test('parseCsv splits rows and fields', () => {
+  assert.deepEqual(parseCsv('a,b,c\n1,2,3\n'), [['a', 'b', 'c'], ['1', '2', '3']]);
+});
+
+test('parseCsv handles quoted fields, escaped quotes and embedded line breaks', () => {
+  assert.deepEqual(
+    parseCsv('url,title\n"https://example.com/?a=1,2","Say ""hi""\nthere"'),
+    [['url', 'title'], ['https://example.com/?a=1,2', 'Say "hi"\nthere']]
+  );
+});
+
+test('parseCsv accepts CRLF and CR line endings', () => {
+  assert.deepEqual(parseCsv('a,b\r\n1,2\r3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('parseCsv keeps empty fields and skips blank lines', () => {
+  assert.deepEqual(parseCsv('a,,c\n\n , \n,b,\n'), [['a', '', 'c'], ['', 'b', '']]);
+});
+
+test('parseCsv strips a byte order mark', () => {
+  assert.deepEqual(parseCsv('\uFEFFurl\nhttps://example.com'), [['url'], ['https://example.com']]);
+});
+
+test('rowsFromCsv maps header names to link fields', () => {
+  const csv = 'URL,Alias,Tags,Expiry,Unknown\nhttps://example.com, spring ,"promo,spring",2030-06-30,x\nhttps://example.org,,,,\n';
+  assert.deepEqual(rowsFromCsv(csv), {
+    rows: [
+      { longUrl: 'https://example.com', alias: 'spring', tags: 'promo,spring', expiresAt: '2030-06-30' },
+      { longUrl: 'https://example.org' }
+    ]
+  });
+});
+
+test('rowsFromCsv needs a url column', () => {
+  assert.deepEqual(rowsFromCsv(''), { error: 'CSV file is empty' });
+  assert.deepEqual(rowsFromCsv('alias,tags\nabc,x'), { error: 'CSV header must include a "url" column' });
+});
+
+test('parseBulkBody reads JSON arrays, { links } and CSV', () => {
+  const rows = [{ longUrl: 'https://example.com' }];
+  assert.deepEqual(parseBulkBody(request(rows)), { rows });
+  assert.deepEqual(parseBulkBody(request({ links: rows })), { rows });
+  assert.deepEqual(parseBulkBody(request('url\nhttps://example.com', 'text/csv')), { rows });
+});
+
+test('parseBulkBody rejects empty, oversized and malformed bodies', () => {
+  assert.deepEqual(parseBulkBody(request([])), { error: 'No links to import' });
+  assert.match(parseBulkBody(request({ url: 'https://example.com' })).error, /Send a JSON array/);
+
+  const tooMany = Array.from({ length: BULK_MAX_ROWS + 1 }, () => ({ longUrl: 'https://example.com' }));
+  assert.deepEqual(parseBulkBody(request(tooMany)), { error: `Too many links: at most ${BULK_MAX_ROWS} per request` });
+});
@@ -0,0 +1,77 @@
+// Restart backoff and circuit breaker (crash-supervisor.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CrashSupervisor } = require('../crash-supervisor');
+
+function supervisor(options = {}) {
+  return new CrashSupervisor({
+    backoffMs: 1000,
+    maxBackoffMs: 5000,
+    maxCrashes: 5,
+    crashWindowMs: 60000,
+    breakerResetMs: 30000,
+    ...options
+  });
+}
+
+test('restart delays double per recent crash up to the maximum', () => {
+  const crashes = supervisor({ maxCrashes: 10 });
+  const delays = [0, 1, 2, 3, 4].map(second => crashes.recordCrash(second * 1000).delayMs);
+  assert.deepEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('crashes outside the window no longer count', () => {
+  const crashes = supervisor();
+  crashes.recordCrash(0);
+  crashes.recordCrash(1000);
+  assert.deepEqual(crashes.recordCrash(70000), { tripped: false, delayMs: 1000 });
+});
+
+test('too many crashes in the window open the breaker', () => {
+  const crashes = supervisor({ maxCrashes: 3 });
+  crashes.recordCrash(0);
+  crashes.recordCrash(1000);
+  assert.deepEqual(crashes.recordCrash(2000), { tripped: true });
+
+  assert.equal(crashes.state(2000), 'open');
+  assert.equal(crashes.allowsStart(2000), false);
+  assert.deepEqual(crashes.status(2000), {
+    state: 'open',
+    recentCrashes: 3,
+    halfOpenAt: new Date(32000).toISOString()
+  });
+});
+
+test('the breaker half-opens after the reset time', () => {
+  const crashes = supervisor({ maxCrashes: 1 });
+  crashes.recordCrash(0);
+  assert.equal(crashes.state(29999), 'open');
+  assert.equal(crashes.state(30000), 'half-open');
+  assert.equal(crashes.allowsStart(30000), true);
+});
+
+test('a clean start closes a half-open breaker', () => {
+  const crashes = supervisor({ maxCrashes: 1 });
+  crashes.recordCrash(0);
+  crashes.recordStart(30000);
+
+  assert.equal(crashes.state(30000), 'closed');
+  assert.equal(crashes.status(30000).recentCrashes, 0);
+});
+
+test('a crash while half-open opens the breaker again straight away', () => {
+  const crashes = supervisor({ maxCrashes: 2 });
+  crashes.recordCrash(0);
+  crashes.recordCrash(1000);
+
+  assert.deepEqual(crashes.recordCrash(100000), { tripped: true });
+  assert.equal(crashes.state(100000), 'open');
+});
+
+test('a start while closed leaves the crash count alone', () => {
+  const crashes = supervisor();
+  crashes.recordCrash(0);
+  crashes.recordStart(1000);
+  assert.equal(crashes.recordCrash(2000).delayMs, 2000);
+});
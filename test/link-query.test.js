@@ -0,0 +1,98 @@
+// Link search, filters and cursor pagination (link-query.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLinkQuery, queryLinks } = require('../link-query');
+
+// 7 links; clicks repeat so sorting by clicks has ties to break by id
+const LINKS = Array.from({ length: 7 }, (_, index) => ({
+  id: index + 1,
+  shortCode: `link${index + 1}`,
+  longUrl: `https://example.com/${index + 1}`,
+  title: index === 2 ? 'Spring sale' : null,
+  tags: index % 2 === 0 ? ['promo'] : [],
+  folder: index < 3 ? 'Campaigns' : null,
+  archivedAt: index === 6 ? '2024-01-01T00:00:00.000Z' : null,
+  createdAt: `2024-01-0${index + 1}T00:00:00.000Z`,
+  clicks: index % 3
+}));
+
+function parse(query) {
+  const parsed = parseLinkQuery(query);
+  assert.equal(parsed.error, undefined);
+  return parsed;
+}
+
+// Every page of a query, following nextCursor
+function allPages(query) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = queryLinks(LINKS, parse({ ...query, ...(cursor ? { cursor } : {}) }));
+    pages.push(page.links.map(link => link.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test('defaults to active links, newest first', () => {
+  const result = queryLinks(LINKS, parse({}));
+  assert.deepEqual(result.links.map(link => link.id), [6, 5, 4, 3, 2, 1]);
+  assert.equal(result.total, 6);
+  assert.equal(result.nextCursor, null);
+});
+
+test('cursors walk every page without gaps or repeats', () => {
+  assert.deepEqual(allPages({ limit: '4' }), [[6, 5, 4, 3], [2, 1]]);
+  assert.deepEqual(allPages({ limit: '2', order: 'asc', status: 'all' }), [[1, 2], [3, 4], [5, 6], [7]]);
+});
+
+test('cursors break ties in the sort field by id', () => {
+  // clicks by id: 1:0 2:1 3:2 4:0 5:1 6:2
+  assert.deepEqual(allPages({ sort: 'clicks', limit: '2' }), [[6, 3], [5, 2], [4, 1]]);
+  assert.deepEqual(allPages({ sort: 'clicks', order: 'asc', limit: '4' }), [[1, 4, 2, 5], [3, 6]]);
+});
+
+test('a cursor only works for the sort it was issued for', () => {
+  const { nextCursor } = queryLinks(LINKS, parse({ limit: '2' }));
+  assert.deepEqual(
+    parseLinkQuery({ limit: '2', sort: 'clicks', cursor: nextCursor }),
+    { error: 'Invalid cursor for this sort order' }
+  );
+  assert.deepEqual(
+    parseLinkQuery({ limit: '2', order: 'asc', cursor: nextCursor }),
+    { error: 'Invalid cursor for this sort order' }
+  );
+});
+
+test('malformed cursors are rejected', () => {
+  for (const cursor of ['nonsense', Buffer.from('{"s":"createdAt","o":"desc"}').toString('base64url')]) {
+    assert.deepEqual(parseLinkQuery({ cursor }), { error: 'Invalid cursor for this sort order' });
+  }
+});
+
+test('invalid parameters are rejected', () => {
+  assert.match(parseLinkQuery({ status: 'deleted' }).error, /Invalid status/);
+  assert.match(parseLinkQuery({ sort: 'title' }).error, /Invalid sort/);
+  assert.match(parseLinkQuery({ order: 'up' }).error, /Invalid order/);
+  for (const limit of ['0', '201', '1.5', 'ten']) {
+    assert.match(parseLinkQuery({ limit }).error, /limit must be/, limit);
+  }
+});
+
+test('search, tag and folder filters combine', () => {
+  const ids = (query) => queryLinks(LINKS, parse(query)).links.map(link => link.id);
+  assert.deepEqual(ids({ q: 'spring SALE' }), [3]);
+  assert.deepEqual(ids({ tag: 'promo' }), [5, 3, 1]);
+  assert.deepEqual(ids({ tag: 'promo', folder: 'Campaigns' }), [3, 1]);
+  assert.deepEqual(ids({ folder: '' }), [6, 5, 4]);
+  assert.deepEqual(ids({ status: 'archived' }), [7]);
+});
+
+test('facets count the tags and folders of links with the status', () => {
+  const { facets } = queryLinks(LINKS, parse({ q: 'nothing-matches' }));
+  assert.deepEqual(facets, {
+    tags: [{ tag: 'promo', count: 3 }],
+    folders: [{ folder: 'Campaigns', count: 3 }]
+  });
+});
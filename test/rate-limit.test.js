@@ -0,0 +1,56 @@
+// Token buckets and limit parsing (rate-limit/index.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { takeToken, parseLimit } = require('../rate-limit');
+
+const LIMIT = { capacity: 3, windowMs: 3000 };
+
+// Take tokens one after another at the given times, returning the results
+function takeAt(times, limit = LIMIT) {
+  let bucket;
+  return times.map(now => {
+    const taken = takeToken(bucket, now, limit);
+    bucket = taken.bucket;
+    return taken.result;
+  });
+}
+
+test('a new bucket starts full', () => {
+  const { bucket, result } = takeToken(undefined, 1000, LIMIT);
+  assert.deepEqual(result, { allowed: true, limit: 3, remaining: 2, reset: 1, retryAfter: 0 });
+  assert.deepEqual(bucket, { tokens: 2, updatedAt: 1000, expiresAt: 2000 });
+});
+
+test('requests beyond the capacity are rejected with a retry delay', () => {
+  const results = takeAt([0, 0, 0, 0]);
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+  assert.equal(results[3].remaining, 0);
+  assert.equal(results[3].retryAfter, 1);
+  assert.equal(results[3].reset, 3);
+});
+
+test('tokens refill continuously', () => {
+  // One token per second: the fourth request fits once a second has passed
+  const results = takeAt([0, 0, 0, 999, 1000]);
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false, true]);
+});
+
+test('a bucket never holds more than its capacity', () => {
+  const results = takeAt([0, 60000, 60000, 60000, 60000]);
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, true, false]);
+});
+
+test('retryAfter rounds up to whole seconds', () => {
+  const results = takeAt([0, 0], { capacity: 1, windowMs: 2500 });
+  assert.equal(results[1].allowed, false);
+  assert.equal(results[1].retryAfter, 3);
+});
+
+test('parseLimit reads "<requests>/<seconds>" and "off"', () => {
+  assert.deepEqual(parseLimit('10/60'), { capacity: 10, windowMs: 60000 });
+  assert.equal(parseLimit('off'), null);
+  for (const value of ['10', '0/60', '10/0', '-1/60', '1.5/60', 'ten/60']) {
+    assert.throws(() => parseLimit(value), /Invalid rate limit/, value);
+  }
+});
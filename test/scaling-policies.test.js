@@ -0,0 +1,102 @@
+// Scaling policies and the scaling controller (scaling-policies.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPolicy, ScalingController } = require('../scaling-policies');
+
+const BOTH_WAYS = { up: true, down: true };
+
+function controller(options = {}) {
+  return new ScalingController({
+    policy: createPolicy('threshold', { scaleUpLoad: 10, scaleDownLoad: 2 }),
+    confirmUp: 2,
+    confirmDown: 3,
+    dwellUpMs: 1000,
+    dwellDownMs: 5000,
+    cooldownMs: 2000,
+    ...options
+  });
+}
+
+test('threshold policy holds between its thresholds', () => {
+  const policy = createPolicy('threshold', { scaleUpLoad: 10, scaleDownLoad: 2 });
+  assert.equal(policy.evaluate({ load: 11 }), 'up');
+  assert.equal(policy.evaluate({ load: 10 }), 'hold');
+  assert.equal(policy.evaluate({ load: 2 }), 'hold');
+  assert.equal(policy.evaluate({ load: 1 }), 'down');
+});
+
+test('moving-average policy smooths out a single burst', () => {
+  const policy = createPolicy('moving-average', { scaleUpLoad: 10, scaleDownLoad: 2, movingAverageSamples: 3 });
+  assert.equal(policy.evaluate({ load: 5 }), 'hold');
+  assert.equal(policy.evaluate({ load: 5 }), 'hold');
+  assert.equal(policy.evaluate({ load: 20 }), 'hold'); // average 10
+  assert.equal(policy.evaluate({ load: 20 }), 'up'); // average 15
+});
+
+test('latency policy scales down without traffic', () => {
+  const policy = createPolicy('latency', { scaleUpP95: 250, scaleDownP95: 50 });
+  assert.equal(policy.evaluate({ p95: null }), 'down');
+  assert.equal(policy.evaluate({ p95: 300 }), 'up');
+  assert.equal(policy.evaluate({ p95: 100 }), 'hold');
+});
+
+test('policies reject overlapping thresholds and unknown names', () => {
+  assert.throws(() => createPolicy('threshold', { scaleUpLoad: 2, scaleDownLoad: 2 }), /must be below/);
+  assert.throws(() => createPolicy('latency', { scaleUpP95: 50, scaleDownP95: 100 }), /must be below/);
+  assert.throws(() => createPolicy('random', {}), /Unknown scaling policy/);
+});
+
+test('a signal must be confirmed by consecutive samples', () => {
+  const scaler = controller();
+  assert.equal(scaler.decide({ load: 20 }, BOTH_WAYS, 10000).action, null);
+  assert.equal(scaler.decide({ load: 20 }, BOTH_WAYS, 10000).action, 'up');
+});
+
+test('a different signal restarts the confirmation', () => {
+  const scaler = controller();
+  scaler.decide({ load: 20 }, BOTH_WAYS, 10000);
+  scaler.decide({ load: 5 }, BOTH_WAYS, 10000);
+  const decision = scaler.decide({ load: 20 }, BOTH_WAYS, 10000);
+  assert.equal(decision.action, null);
+  assert.equal(decision.reason, 'confirming (1/2 samples)');
+});
+
+test('no action past the pool limits', () => {
+  const scaler = controller({ confirmUp: 1 });
+  const decision = scaler.decide({ load: 20 }, { up: false, down: true }, 10000);
+  assert.deepEqual(decision, { signal: 'up', action: null, reason: 'already at maximum' });
+});
+
+test('the size is kept for the dwell time after a change', () => {
+  const scaler = controller({ confirmUp: 1 });
+  assert.equal(scaler.decide({ load: 20 }, BOTH_WAYS, 10000).action, 'up');
+  scaler.recordResult(true, 10000);
+
+  const decision = scaler.decide({ load: 20 }, BOTH_WAYS, 10500);
+  assert.equal(decision.action, null);
+  assert.equal(decision.reason, 'dwelling (1s left)');
+  assert.equal(scaler.decide({ load: 20 }, BOTH_WAYS, 11000).action, 'up');
+});
+
+test('a failed attempt is followed by a cooldown', () => {
+  const scaler = controller({ confirmUp: 1 });
+  scaler.decide({ load: 20 }, BOTH_WAYS, 10000);
+  scaler.recordResult(false, 10000);
+
+  const decision = scaler.decide({ load: 20 }, BOTH_WAYS, 11000);
+  assert.equal(decision.action, null);
+  assert.match(decision.reason, /^cooling down/);
+  assert.equal(scaler.decide({ load: 20 }, BOTH_WAYS, 12000).action, 'up');
+});
+
+test('every action needs fresh confirmation', () => {
+  const scaler = controller({ dwellDownMs: 0 });
+  for (let i = 0; i < 2; i++) {
+    scaler.decide({ load: 0 }, BOTH_WAYS, 10000);
+  }
+  assert.equal(scaler.decide({ load: 0 }, BOTH_WAYS, 10000).action, 'down');
+  scaler.recordResult(true, 10000);
+
+  assert.equal(scaler.decide({ load: 0 }, BOTH_WAYS, 10000).action, null);
+});
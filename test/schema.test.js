@@ -0,0 +1,182 @@
+// Schema migrations and log replay (storage/schema.js, storage/file.store.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  migrate,
+  createEmptyData,
+  applyOperation
+} = require('../storage/schema');
+const FileStore = require('../storage/file.store');
+
+function tempLog(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'morphlink-schema-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return path.join(directory, 'data.log');
+}
+
+function writeLog(filePath, version, operations) {
+  const lines = [{ type: 'schema', version }, ...operations].map(line => JSON.stringify(line));
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
+
+test('migrations are numbered 1..SCHEMA_VERSION in order', () => {
+  assert.deepEqual(
+    MIGRATIONS.map(migration => migration.version),
+    Array.from({ length: SCHEMA_VERSION }, (_, index) => index + 1)
+  );
+});
+
+test('createEmptyData has every collection', () => {
+  assert.deepEqual(Object.keys(createEmptyData()).sort(), [
+    'accountTokens', 'analytics', 'apiKeys', 'blockedDomains', 'linkRevisions',
+    'links', 'sessions', 'users'
+  ]);
+});
+
+test('migrating a v1 link fills in the fields added since', () => {
+  const data = migrate({}, 0, 1);
+  data.links.push({ id: 1, shortCode: 'abc', longUrl: 'https://example.com', clicks: 0 });
+  data.users.push({ id: 1, email: 'a@example.com' });
+
+  migrate(data, 1, SCHEMA_VERSION);
+
+  assert.deepEqual(data.links[0], {
+    id: 1,
+    shortCode: 'abc',
+    longUrl: 'https://example.com',
+    clicks: 0,
+    customAlias: false,
+    expiresAt: null,
+    maxClicks: null,
+    archivedAt: null,
+    archiveReason: null,
+    title: null,
+    description: null,
+    tags: [],
+    folder: null,
+    interstitial: false,
+    previousShortCodes: []
+  });
+  assert.equal(data.users[0].role, 'user');
+  assert.equal(data.users[0].emailVerifiedAt, null);
+});
+
+test('migrations keep values that are already set', () => {
+  const data = migrate({}, 0, 9);
+  data.links.push({ id: 1, shortCode: 'abc', tags: ['promo'], folder: 'Spring' });
+
+  migrate(data, 9, SCHEMA_VERSION);
+
+  assert.deepEqual(data.links[0].tags, ['promo']);
+  assert.equal(data.links[0].folder, 'Spring');
+});
+
+test('migrate only runs the migrations in the requested range', () => {
+  const data = migrate({}, 0, 3);
+  assert.equal(data.linkRevisions, undefined);
+  migrate(data, 3, 4);
+  assert.deepEqual(data.linkRevisions, []);
+});
+
+test('applyOperation inserts, updates and deletes records', () => {
+  const data = createEmptyData();
+  applyOperation(data, { op: 'insert', collection: 'users', record: { id: 1, email: 'a@example.com' } });
+  applyOperation(data, { op: 'update', collection: 'users', id: 1, changes: { email: 'b@example.com' } });
+  assert.equal(data.users[0].email, 'b@example.com');
+
+  assert.equal(applyOperation(data, { op: 'update', collection: 'users', id: 2, changes: {} }), null);
+  applyOperation(data, { op: 'delete', collection: 'users', id: 1 });
+  assert.deepEqual(data.users, []);
+});
+
+test('applyOperation rejects unknown collections and operations', () => {
+  const data = createEmptyData();
+  assert.throws(() => applyOperation(data, { op: 'insert', collection: 'nope', record: {} }), /Unknown collection/);
+  assert.throws(() => applyOperation(data, { op: 'upsert', collection: 'users' }), /Unknown operation/);
+});
+
+test('click events count towards their link and follow a short code change', () => {
+  const data = createEmptyData();
+  applyOperation(data, { op: 'insert', collection: 'links', record: { id: 1, shortCode: 'old', clicks: 0 } });
+  applyOperation(data, { op: 'insert', collection: 'analytics', record: { id: 'a', shortCode: 'old' } });
+  applyOperation(data, { op: 'insert', collection: 'analytics', record: { id: 'b', shortCode: 'old' } });
+  assert.equal(data.links[0].clicks, 2);
+
+  applyOperation(data, { op: 'update', collection: 'links', id: 1, changes: { shortCode: 'new' } });
+  assert.deepEqual(data.analytics.map(event => event.shortCode), ['new', 'new']);
+});
+
+test('deleting a link drops its clicks and revisions', () => {
+  const data = createEmptyData();
+  applyOperation(data, { op: 'insert', collection: 'links', record: { id: 1, shortCode: 'abc', clicks: 0 } });
+  applyOperation(data, { op: 'insert', collection: 'analytics', record: { id: 'a', shortCode: 'abc' } });
+  applyOperation(data, { op: 'insert', collection: 'linkRevisions', record: { id: 1, linkId: 1 } });
+
+  applyOperation(data, { op: 'delete', collection: 'links', id: 1 });
+
+  assert.deepEqual(data.analytics, []);
+  assert.deepEqual(data.linkRevisions, []);
+});
+
+test('replaying an old log migrates it and rewrites it at the current version', (t) => {
+  const filePath = tempLog(t);
+  writeLog(filePath, 2, [
+    { op: 'insert', collection: 'links', record: { id: 1, shortCode: 'abc', longUrl: 'https://example.com', clicks: 0, customAlias: false } },
+    { op: 'insert', collection: 'analytics', record: { id: 1, shortCode: 'abc' } },
+    { op: 'update', collection: 'links', id: 1, changes: { longUrl: 'https://example.org' } }
+  ]);
+
+  const data = new FileStore({ filePath }).load();
+
+  assert.equal(data.links[0].longUrl, 'https://example.org');
+  assert.equal(data.links[0].clicks, 1);
+  assert.deepEqual(data.links[0].tags, []);
+  assert.deepEqual(data.apiKeys, []);
+
+  const header = JSON.parse(fs.readFileSync(filePath, 'utf8').split('\n')[0]);
+  assert.deepEqual(header, { type: 'schema', version: SCHEMA_VERSION });
+
+  // The compacted log replays to the same data
+  assert.deepEqual(new FileStore({ filePath }).load(), data);
+});
+
+test('replay skips a torn last line', (t) => {
+  const filePath = tempLog(t);
+  writeLog(filePath, SCHEMA_VERSION, [
+    { op: 'insert', collection: 'users', record: { id: 1, email: 'a@example.com' } }
+  ]);
+  fs.appendFileSync(filePath, '{"op":"insert","collection":"us\n');
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  const data = new FileStore({ filePath, compactOnLoad: false }).load();
+
+  assert.equal(data.users.length, 1);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('logs from a newer schema are refused', (t) => {
+  const filePath = tempLog(t);
+  writeLog(filePath, SCHEMA_VERSION + 1, []);
+  assert.throws(() => new FileStore({ filePath }).load(), /only supports up to/);
+});
+
+test('poll picks up operations written by another store', (t) => {
+  const filePath = tempLog(t);
+  const reader = new FileStore({ filePath });
+  const writer = new FileStore({ filePath, compactOnLoad: false });
+  reader.load();
+  writer.load();
+
+  const operation = { op: 'insert', collection: 'users', record: { id: 1, email: 'a@example.com' } };
+  writer.append(operation);
+
+  assert.deepEqual(reader.poll(), { operations: [{ ...operation, writer: writer.writerId }] });
+  assert.equal(reader.poll(), null);
+  assert.deepEqual(writer.poll(), { operations: [] });
+});
@@ -0,0 +1,252 @@
+// Morphlink destination URL safety checks
+// Every destination passes through these checks before it is shortened (or a
+// link is edited to point at it):
+//   1. it parses as a URL, is not too long and has no embedded credentials
+//   2. its scheme is allowed (http and https by default)
+//   3. links back to this shortener are followed to catch redirect loops, and
+//      the rest of the checks apply to where the chain ends
+//   4. it is not a private, loopback or link-local address
+//   5. its domain is not on the admin-maintained blocklist
+//
+// Configuration (environment variables):
+//   URL_ALLOWED_SCHEMES  - comma-separated schemes (default 'http,https')
+//   SHORT_LINK_HOSTS     - comma-separated hosts serving our short links
+//                          (default 'localhost:3000,localhost:3001')
+
+const net = require('net');
+
+const ALLOWED_SCHEMES = (process.env.URL_ALLOWED_SCHEMES || 'http,https')
+  .split(',')
+  .map(scheme => `${scheme.trim().toLowerCase()}:`)
+  .filter(scheme => scheme !== ':');
+
+const SHORT_LINK_HOSTS = (process.env.SHORT_LINK_HOSTS || 'localhost:3000,localhost:3001')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const MAX_URL_LENGTH = 2048;
+
+// Links to our own short links are followed at most this many times
+const MAX_REDIRECT_HOPS = 5;
+
+// Host names that always resolve to the local machine or network
+const LOCAL_HOSTNAME_PATTERN = /(^|\.)(localhost|local|internal|localdomain|home\.arpa)$/;
+
+// IPv4 ranges that must not be linked to: [first address, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local (includes cloud metadata endpoints)
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+];
+
+function ipv4ToNumber(ip) {
+  return ip.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+}
+
+function isPrivateIpv4(ip) {
+  const address = ipv4ToNumber(ip);
+  return PRIVATE_IPV4_RANGES.some(([first, prefix]) => {
+    const size = 2 ** (32 - prefix);
+    const start = ipv4ToNumber(first);
+    return address >= start && address < start + size;
+  });
+}
+
+function isPrivateIpv6(ip) {
+  const address = ip.toLowerCase();
+
+  // IPv4-mapped addresses (::ffff:a.b.c.d, or ::ffff:7f00:1 as the URL parser writes them)
+  const mapped = /^::ffff:(.+)$/.exec(address);
+  if (mapped) {
+    const tail = mapped[1];
+    if (net.isIPv4(tail)) {
+      return isPrivateIpv4(tail);
+    }
+    const [high, low] = tail.split(':').map(group => parseInt(group, 16));
+    return isPrivateIpv4([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  return address === '::' ||
+    address === '::1' ||
+    /^f[cd]/.test(address) || // Unique local (fc00::/7)
+    /^fe[89ab]/.test(address) || // Link-local (fe80::/10)
+    /^ff/.test(address); // Multicast
+}
+
+// Whether a URL host (as parsed by URL, so numeric forms are normalised)
+// points at a private, loopback or local address
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIPv4(host)) {
+    return isPrivateIpv4(host);
+  }
+  if (net.isIPv6(host)) {
+    return isPrivateIpv6(host);
+  }
+  return LOCAL_HOSTNAME_PATTERN.test(host.replace(/\.$/, ''));
+}
+
+// Normalise a domain for the blocklist ("https://Foo.com/x" -> "foo.com").
+// Returns null if it is not a valid domain.
+function normalizeDomain(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  let domain = value.trim().toLowerCase();
+  try {
+    if (domain.includes('/')) {
+      domain = new URL(domain.includes('://') ? domain : `http://${domain}`).hostname;
+    }
+  } catch {
+    return null;
+  }
+  domain = domain.replace(/^\*\./, '').replace(/\.$/, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) || net.isIP(domain) ? domain : null;
+}
+
+// Blocklist entry matching a host or one of its parent domains
+function findBlockedDomain(database, hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return database.getBlockedDomains().find(entry =>
+    host === entry.domain || host.endsWith(`.${entry.domain}`)
+  );
+}
+
+// Short code of a URL served by this shortener, or null for other URLs
+function ownShortCode(url) {
+  if (!SHORT_LINK_HOSTS.includes(url.host.toLowerCase())) {
+    return null;
+  }
+  const match = /^\/([^/]+?)\+?\/?$/.exec(url.pathname);
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+function loopError(code, shortCode) {
+  return code === shortCode
+    ? 'Destination points back to this short link'
+    : 'Destination creates a redirect loop';
+}
+
+// Follow a chain of our own short links to where it leaves this shortener.
+// Returns { url } with the final destination, or { error } if the chain
+// loops back on itself (or to shortCode), is broken or is too long.
+function followShortLinks(database, url, shortCode) {
+  const visited = new Set(shortCode ? [shortCode] : []);
+  let next = url;
+
+  for (let hop = 0; hop < MAX_REDIRECT_HOPS; hop++) {
+    const code = ownShortCode(next);
+    if (code === null) {
+      return { url: next };
+    }
+    if (code === '') {
+      return { error: 'Destination points back to this shortener' };
+    }
+    if (visited.has(code)) {
+      return { error: loopError(code, shortCode) };
+    }
+    visited.add(code);
+
+    const link = database.findLinkByShortCode(code);
+    if (!link) {
+      return { error: `Destination is a short link that does not exist (/${code})` };
+    }
+
+    // A previous code of a renamed link leads to the link's current code
+    if (link.shortCode !== code) {
+      if (visited.has(link.shortCode)) {
+        return { error: loopError(link.shortCode, shortCode) };
+      }
+      visited.add(link.shortCode);
+    }
+
+    try {
+      next = new URL(link.longUrl);
+    } catch {
+      return { error: `Destination is a short link with an invalid destination (/${code})` };
+    }
+  }
+  return { error: `Destination redirects through more than ${MAX_REDIRECT_HOPS} short links` };
+}
+
+// Scheme and embedded credential checks. Returns an error message or null.
+function findUrlFormProblem(url) {
+  if (!ALLOWED_SCHEMES.includes(url.protocol)) {
+    return `URL scheme "${url.protocol.slice(0, -1)}" is not allowed. Use: ${ALLOWED_SCHEMES.map(s => s.slice(0, -1)).join(', ')}`;
+  }
+  if (url.username || url.password) {
+    return 'URLs with embedded credentials are not allowed';
+  }
+  return null;
+}
+
+// Run every check on a destination URL.
+// shortCode is the link being created or edited (when known), for loop detection.
+// Returns { error } or { url }.
+function checkDestination(database, longUrl, { shortCode = null } = {}) {
+  if (typeof longUrl !== 'string') {
+    return { error: 'longUrl must be a string' };
+  }
+  if (longUrl.length > MAX_URL_LENGTH) {
+    return { error: `URL must be at most ${MAX_URL_LENGTH} characters long` };
+  }
+
+  let url;
+  try {
+    url = new URL(longUrl);
+  } catch {
+    return { error: 'Invalid URL format' };
+  }
+
+  const formProblem = findUrlFormProblem(url);
+  if (formProblem) {
+    return { error: formProblem };
+  }
+
+  // Our own short links are followed to the end of the chain, and that final
+  // destination must pass every check (so a short link cannot be used to
+  // smuggle in a blocked or private one)
+  let target = url;
+  if (ownShortCode(url) !== null) {
+    const chain = followShortLinks(database, url, shortCode);
+    if (chain.error) {
+      return { error: chain.error };
+    }
+    target = chain.url;
+
+    const targetProblem = findUrlFormProblem(target);
+    if (targetProblem) {
+      return { error: `Destination is a short link to a disallowed URL: ${targetProblem}` };
+    }
+  }
+
+  if (!target.hostname || isPrivateHost(target.hostname)) {
+    return { error: 'URLs pointing to private or local network addresses are not allowed' };
+  }
+
+  const blocked = findBlockedDomain(database, target.hostname);
+  if (blocked) {
+    return { error: `Links to ${blocked.domain} are not allowed${blocked.reason ? ` (${blocked.reason})` : ''}` };
+  }
+
+  return { url };
+}
+
+module.exports = {
+  ALLOWED_SCHEMES,
+  SHORT_LINK_HOSTS,
+  checkDestination,
+  isPrivateHost,
+  normalizeDomain,
+  findBlockedDomain
+};